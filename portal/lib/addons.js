@@ -0,0 +1,113 @@
+/* ---- MRI add-ons: data/catalog/addons.json helpers ----
+   Catalog shape is docs/schemas/addons.schema.json:
+     { version, currency, items:[{ id, name, category, pricingMode:
+       'perRoom'|'perPerson'|'perPeriod', unitPeriodMins, netPrice, taxCode,
+       includedByDefault, visibleToBooker, minQty, maxQty, stepQty,
+       requires:[id], excludes:[id], active, sort, notes }] }
+   dependencyIssues() covers what the schema cannot: unknown ids, circular
+   requires chains and items that both require and exclude the same add-on.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+
+  const PRICING_MODES = ['perRoom', 'perPerson', 'perPeriod'];
+
+  function itemsOf(catalog){
+    if (Array.isArray(catalog)) return catalog;
+    return catalog && Array.isArray(catalog.items) ? catalog.items : [];
+  }
+  function findAddon(catalog, id){ return itemsOf(catalog).find(x => x.id === id) || null; }
+
+  // Display order: sort ascending, then original position
+  function sorted(catalog){
+    return itemsOf(catalog).map((item, ix) => ({ item, ix }))
+      .sort((a,b)=> (a.item.sort ?? 0) - (b.item.sort ?? 0) || a.ix - b.ix);
+  }
+
+  function newId(catalog, base='addon'){
+    const ids = new Set(itemsOf(catalog).map(x => x.id));
+    let n = 1;
+    while (ids.has(`${base}-${n}`)) n++;
+    return `${base}-${n}`;
+  }
+
+  function blank(catalog){
+    const items = itemsOf(catalog);
+    return { id:newId(catalog), name:'New add-on', category:'', pricingMode:'perRoom', netPrice:0, taxCode:null,
+      includedByDefault:false, visibleToBooker:true, minQty:null, maxQty:null, stepQty:null,
+      requires:[], excludes:[], active:true, sort:(items.reduce((m,x)=> Math.max(m, x.sort ?? 0), 0) + 10) };
+  }
+
+  // Transitive requires of one add-on (ids only; stops at cycles)
+  function requiredBy(catalog, id, seen=new Set()){
+    const item = findAddon(catalog, id);
+    (item && item.requires || []).forEach(r=>{
+      if (seen.has(r)) return;
+      seen.add(r);
+      requiredBy(catalog, r, seen);
+    });
+    return seen;
+  }
+
+  // [{ level:'error'|'warn', id, field, message }]
+  function dependencyIssues(catalog){
+    const items = itemsOf(catalog);
+    const ids = new Set();
+    const out = [];
+    items.forEach(x=>{
+      if (ids.has(x.id)) out.push({ level:'error', id:x.id, field:'id', message:`Duplicate id ${x.id}` });
+      ids.add(x.id);
+    });
+    items.forEach(x=>{
+      ['requires','excludes'].forEach(field=>{
+        (x[field]||[]).forEach(ref=>{
+          if (ref === x.id) out.push({ level:'error', id:x.id, field, message:`${x.id} ${field} itself` });
+          else if (!ids.has(ref)) out.push({ level:'error', id:x.id, field, message:`${x.id} ${field} unknown add-on ${ref}` });
+        });
+      });
+      const both = (x.requires||[]).filter(r => (x.excludes||[]).includes(r));
+      both.forEach(r => out.push({ level:'error', id:x.id, field:'excludes', message:`${x.id} both requires and excludes ${r}` }));
+      // a required add-on (directly or down the chain) that excludes us, or that we exclude
+      requiredBy(catalog, x.id).forEach(r=>{
+        if (r === x.id || both.includes(r)) return;
+        const dep = findAddon(catalog, r);
+        if ((x.excludes||[]).includes(r)) out.push({ level:'error', id:x.id, field:'excludes', message:`${x.id} excludes ${r}, which it requires through a chain` });
+        else if (dep && (dep.excludes||[]).includes(x.id)) out.push({ level:'error', id:x.id, field:'requires', message:`${x.id} requires ${r}, but ${r} excludes ${x.id}` });
+      });
+      if (x.active !== false) (x.requires||[]).forEach(r=>{
+        const dep = findAddon(catalog, r);
+        if (dep && dep.active === false) out.push({ level:'warn', id:x.id, field:'requires', message:`${x.id} requires ${r}, which is inactive` });
+      });
+      const min = x.minQty ?? null, max = x.maxQty ?? null;
+      if (min !== null && max !== null && min > max) out.push({ level:'error', id:x.id, field:'minQty', message:`${x.id}: minQty ${min} is above maxQty ${max}` });
+    });
+    cycles(catalog).forEach(chain=>{
+      out.push({ level:'error', id:chain[0], field:'requires', message:`Circular requires: ${chain.concat(chain[0]).join(' → ')}` });
+    });
+    return out;
+  }
+
+  // Each requires-cycle once, as the list of ids around it
+  function cycles(catalog){
+    const found = [], keys = new Set();
+    const state = {};
+    function visit(id, stack){
+      state[id] = 'open';
+      stack.push(id);
+      ((findAddon(catalog, id)||{}).requires||[]).forEach(next=>{
+        if (!findAddon(catalog, next) || next === id) return;
+        if (state[next] === 'open'){
+          const chain = stack.slice(stack.indexOf(next));
+          const key = chain.slice().sort().join('|');
+          if (!keys.has(key)){ keys.add(key); found.push(chain); }
+        } else if (!state[next]) visit(next, stack);
+      });
+      stack.pop();
+      state[id] = 'done';
+    }
+    itemsOf(catalog).forEach(x=>{ if (!state[x.id]) visit(x.id, []); });
+    return found;
+  }
+
+  MRI.addons = { PRICING_MODES, itemsOf, findAddon, sorted, newId, blank, requiredBy, dependencyIssues, cycles };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,141 @@
+/* ---- MRI availability: bookable start slots per room ----
+   Reads calendars[roomId] in either shape we have in the wild:
+     - index.html: { timezone, openingHours:{MO:[{start,end}]…}, events:[…],
+                     defaultPreBufferMins, defaultPostBufferMins,
+                     roundingStepMins, minLeadTimeMins, maxLeadTimeDays,
+                     exceptions:[{ date, label, closed, ranges }] }
+     - admin.html: a bare events array (falls back to the room's
+                   earliestStart/latestEnd every day)
+   Dated exceptions replace the weekly hours for their day: the room's own
+   first, then venue-wide ones (venue.exceptions).
+   All wall-clock maths happens in the calendar's IANA timezone.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const T = MRI.tz;
+  const { num } = MRI.core;
+
+  const TZ_FALLBACK = 'Europe/Dublin';
+  const BUSY_TYPES = ['BLACKOUT','BOOKING','HOLD'];
+
+  function eventsOf(cal){ return Array.isArray(cal) ? cal : (cal && Array.isArray(cal.events) ? cal.events : []); }
+
+  // { 'YYYY-MM-DD': exception + scope } — room entries win over venue ones
+  function exceptionsOf(admin, raw){
+    const out = {};
+    const add = (list, scope) => (Array.isArray(list) ? list : []).forEach(x=>{
+      if (x && /^\d{4}-\d{2}-\d{2}$/.test(x.date || '')) out[x.date] = { ...x, scope };
+    });
+    add(admin && admin.venue && admin.venue.exceptions, 'venue');
+    add(raw && !Array.isArray(raw) ? raw.exceptions : null, 'room');
+    return out;
+  }
+
+  // Normalised, read-only view of a room's calendar settings
+  function calendarOf(admin, roomId){
+    const raw = admin && admin.calendars ? admin.calendars[roomId] : null;
+    const cal = raw && !Array.isArray(raw) ? raw : {};
+    const room = MRI.core.findRoom(admin, roomId) || {};
+    const br = room.baseRates || {};
+    let openingHours = cal.openingHours, hoursSource = 'calendar';
+    if (!openingHours){
+      const start = br.earliestStart || room.earliestStart, end = br.latestEnd || room.latestEnd;
+      openingHours = {};
+      T.DAYS.forEach(d=> openingHours[d] = start && end ? [{ start, end }] : []);
+      hoursSource = start && end ? 'room earliestStart/latestEnd' : 'none';
+    }
+    // room calendar's own zone, else the venue's (venue.timezone)
+    const venueTz = MRI.format ? MRI.format.settings(admin).timezone : TZ_FALLBACK;
+    const tz = cal.timezone && T.isValidZone(cal.timezone) ? cal.timezone : venueTz;
+    return {
+      roomId, timezone: tz, openingHours, hoursSource,
+      preBufferMins: num(cal.defaultPreBufferMins), postBufferMins: num(cal.defaultPostBufferMins),
+      stepMins: num(cal.roundingStepMins) > 0 ? num(cal.roundingStepMins) : 15,
+      minLeadTimeMins: num(cal.minLeadTimeMins),
+      maxLeadTimeDays: num(cal.maxLeadTimeDays) > 0 ? num(cal.maxLeadTimeDays) : 365,
+      exceptions: exceptionsOf(admin, raw),
+      events: eventsOf(raw)
+    };
+  }
+
+  // [{start:Date, end:Date, ev}] for events that block the room; recurring
+  // events expand to one block per occurrence between from and to
+  function busyBlocks(cal, from, to){
+    return cal.events
+      .filter(ev => BUSY_TYPES.includes(String(ev.type||'').toUpperCase()) && !/cancel/i.test(ev.status||''))
+      .flatMap(ev => MRI.recurrence.expand(ev, cal.timezone, { from, to }).map(o => ({ start:o.start, end:o.end, ev })));
+  }
+
+  // Effective hours for a local date:
+  // { ranges:[{start:'HH:mm', end}], closed, source:'weekly'|'room exception'|'venue exception', label }
+  function hoursFor(cal, ymd){
+    const ex = (cal.exceptions || {})[ymd];
+    const ranges = (ex ? (ex.closed ? [] : ex.ranges || []) : cal.openingHours[T.dayKeyOfYmd(ymd)] || []).filter(r => r && r.start && r.end);
+    return { ranges, closed: !ranges.length, source: ex ? `${ex.scope} exception` : 'weekly', label: ex ? ex.label || '' : '' };
+  }
+  const hoursText = h => `${h.ranges.map(r=>`${r.start}–${r.end}`).join(', ') || 'closed'}${h.label ? ` — ${h.label}` : ''}`;
+
+  // Opening ranges for a local date as [{start:Date, end:Date}]
+  function openRanges(cal, ymd){
+    return hoursFor(cal, ymd).ranges.map(r=>{
+      const overnight = r.end === '24:00' || T.hmToMins(r.end) <= T.hmToMins(r.start);
+      const endYmd = overnight ? T.addDaysYmd(ymd, 1) : ymd;
+      return { start: T.localToDate(ymd, r.start, cal.timezone), end: T.localToDate(endYmd, r.end === '24:00' ? '00:00' : r.end, cal.timezone) };
+    });
+  }
+
+  // Why [start,end) cannot be booked — empty array means it can.
+  // busy: busyBlocks already computed for a window covering this one
+  function reasonsFor(cal, start, end, now, busy){
+    const reasons = [];
+    if (!(end > start)) return ['End must be after start'];
+    const ymd = T.ymdInZone(start, cal.timezone);
+    // the previous day's overnight range (FR 18:00–02:00) covers early SA
+    const inside = [...openRanges(cal, T.addDaysYmd(ymd, -1)), ...openRanges(cal, ymd)].some(r => start >= r.start && end <= r.end);
+    if (!inside) reasons.push(`Outside opening hours (${T.dayKeyOfYmd(ymd)} ${hoursText(hoursFor(cal, ymd))})`);
+    const earliest = new Date(now.getTime() + cal.minLeadTimeMins*60000);
+    const latest = new Date(now.getTime() + cal.maxLeadTimeDays*86400000);
+    if (start < now) reasons.push('Start is in the past');
+    else if (start < earliest) reasons.push(`Inside minimum lead time (${cal.minLeadTimeMins} mins)`);
+    if (start > latest) reasons.push(`Beyond maximum lead time (${cal.maxLeadTimeDays} days)`);
+    const s = new Date(start.getTime() - cal.preBufferMins*60000), e = new Date(end.getTime() + cal.postBufferMins*60000);
+    (busy || busyBlocks(cal, s, e)).forEach(b=>{
+      if (s < b.end && e > b.start) reasons.push(`Clashes with ${b.ev.type} “${b.ev.title||b.ev.id||''}” ${T.hmInZone(b.start, cal.timezone)}–${T.hmInZone(b.end, cal.timezone)}${cal.preBufferMins||cal.postBufferMins ? ' (incl. buffers)' : ''}`);
+    });
+    return reasons;
+  }
+
+  // Is the room free for this exact window?
+  function check(admin, roomId, startAt, endAt, opts={}){
+    const cal = calendarOf(admin, roomId);
+    const reasons = reasonsFor(cal, new Date(startAt), new Date(endAt), opts.now || new Date());
+    return { ok: !reasons.length, reasons, timezone: cal.timezone };
+  }
+
+  // Bookable start slots between two local dates (inclusive) for a duration.
+  function slots(admin, roomId, opts={}){
+    const cal = calendarOf(admin, roomId);
+    const now = opts.now || new Date();
+    const dur = Math.max(cal.stepMins, num(opts.durationMins) || 60);
+    const out = [];
+    let ymd = opts.from || T.ymdInZone(now, cal.timezone);
+    const to = opts.to || ymd;
+    // expand events once for the whole range, not per candidate slot
+    const busy = busyBlocks(cal,
+      new Date(T.localToDate(ymd, '00:00', cal.timezone).getTime() - cal.preBufferMins*60000),
+      new Date(T.localToDate(T.addDaysYmd(to, 2), '00:00', cal.timezone).getTime() + cal.postBufferMins*60000));
+    for (let guard = 0; ymd <= to && guard < 400; guard++, ymd = T.addDaysYmd(ymd, 1)){
+      openRanges(cal, ymd).forEach(r=>{
+        for (let t = r.start.getTime(); t + dur*60000 <= r.end.getTime(); t += cal.stepMins*60000){
+          const start = new Date(t), end = new Date(t + dur*60000);
+          if (!reasonsFor(cal, start, end, now, busy).length){
+            out.push({ startAt:start.toISOString(), endAt:end.toISOString(), date:ymd, start:T.hmInZone(start, cal.timezone), end:T.hmInZone(end, cal.timezone) });
+          }
+        }
+      });
+    }
+    return out;
+  }
+
+  MRI.availability = { TZ_FALLBACK, eventsOf, calendarOf, busyBlocks, hoursFor, hoursText, openRanges, check, slots };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,87 @@
+/* ---- MRI bundles: packages / Day Delegate Rates ----
+   bundles[] = { id, name, publicLabel?, active, includesRoom,
+                 priceMode:'per_person'|'flat', priceExVAT, minAttendees,
+                 components:[{ itemId, qty }] }
+   Component qty is per person for per_person items, per booking otherwise.
+   The bundle price is split across components in proportion to what they
+   would cost à la carte, so each slice carries its own category's VAT.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const C = MRI.core;
+  const { num, cents } = C;
+
+  function bundlesOf(admin){ return admin && Array.isArray(admin.bundles) ? admin.bundles : []; }
+  function findBundle(admin, id){ return bundlesOf(admin).find(b => b.id === id) || null; }
+  function labelOf(b){ return b.publicLabel || b.name || b.id; }
+  const money = (admin, v) => MRI.format ? MRI.format.money(admin, v) : cents(v).toFixed(2);
+
+  // Bundles named in req.bundles that exist and are active
+  function selected(admin, req, warnings=[]){
+    return (req.bundles||[]).map(sel=>{
+      const b = findBundle(admin, sel.id);
+      if (!b) warnings.push(`Unknown bundle ${sel.id}`);
+      else if (b.active === false) warnings.push(`Bundle ${labelOf(b)} is inactive`);
+      return b && b.active !== false ? b : null;
+    }).filter(Boolean);
+  }
+
+  // À la carte value of each component for this booking
+  function components(admin, bundle, req, mins, warnings=[]){
+    const attendees = Math.max(0, num(req.attendees));
+    const out = [];
+    if (bundle.includesRoom){
+      const room = [];
+      MRI.quote.roomLines(admin, req, mins, room, warnings);
+      room.forEach(l => out.push({ key:l.id, label:l.label, vatKey:l.vatKey, taxable:l.taxable, value:l.amountExVAT }));
+    }
+    (bundle.components||[]).forEach(c=>{
+      const hit = C.findItem(admin, c.itemId);
+      if (!hit){ warnings.push(`${labelOf(bundle)}: unknown item ${c.itemId}`); return; }
+      const perPerson = hit.item.priceType === 'per_person';
+      const qty = Math.max(0, num(c.qty) || 1) * (perPerson ? attendees : 1);
+      const l = MRI.quote.itemLine(admin, { id:c.itemId, qty }, attendees, mins, []);
+      // Inclusive items are free on their own; inside a bundle they still count at list price
+      const value = hit.item.inclusive && hit.item.pricingMode !== 'hour_or_day' ? qty * num(hit.item.priceExVAT) : l.amountExVAT;
+      out.push({ key:c.itemId, label:`${l.label} × ${num(c.qty)||1}${perPerson ? ' pp' : ''}`, vatKey:l.vatKey, taxable:l.taxable, value:cents(value) });
+    });
+    return out;
+  }
+
+  // Bundle price, à la carte comparison and VAT-key split for a booking
+  function price(admin, bundle, req, mins, warnings=[]){
+    const attendees = Math.max(0, num(req.attendees));
+    const minAtt = num(bundle.minAttendees);
+    const billed = bundle.priceMode === 'flat' ? 1 : Math.max(attendees, minAtt);
+    if (bundle.priceMode !== 'flat' && minAtt && attendees < minAtt) warnings.push(`${labelOf(bundle)}: minimum ${minAtt} attendees — charged for ${minAtt}`);
+    const total = cents(num(bundle.priceExVAT) * billed);
+    const parts = components(admin, bundle, req, mins, warnings);
+    const alaCarte = cents(parts.reduce((s,p)=> s + p.value, 0));
+    const split = {};
+    parts.forEach(p=>{
+      const share = alaCarte > 0 ? p.value / alaCarte : 1 / parts.length;
+      const k = p.taxable ? p.vatKey : 'exempt:' + p.vatKey;
+      split[k] = split[k] || { vatKey:p.vatKey, taxable:p.taxable, amount:0 };
+      split[k].amount += total * share;
+    });
+    // put rounding pennies on the largest slice so the split adds up exactly
+    const slices = Object.values(split).map(x => ({ ...x, amount:cents(x.amount) })).sort((a,b)=> b.amount - a.amount);
+    if (slices.length) slices[0].amount = cents(slices[0].amount + total - slices.reduce((s,x)=> s + x.amount, 0));
+    return { bundle, billed, total, alaCarte, saving:cents(alaCarte - total), parts, slices };
+  }
+
+  function lines(admin, req, list, ctx={}, warnings=[]){
+    const out = [];
+    list.forEach(b=>{
+      const p = price(admin, b, req, num(ctx.durationMins), warnings);
+      p.slices.forEach(sl=>{
+        out.push(MRI.quote.line({ id:`${b.id}-${sl.vatKey}${sl.taxable ? '' : '-exempt'}`, kind:'bundle', label:`${labelOf(b)} · ${sl.vatKey}${sl.taxable ? '' : ' (VAT exempt)'}`, categoryId:null, vatKey:sl.vatKey,
+          qty:1, unit:'', unitPrice:sl.amount, amount:sl.amount, taxable:sl.taxable,
+          note: `${b.priceMode === 'flat' ? 'flat price' : `${p.billed} × ${money(admin, b.priceExVAT)} pp`} · ${p.saving >= 0 ? `saves ${money(admin, p.saving)}` : `${money(admin, -p.saving)} over à la carte`}` }));
+      });
+    });
+    return out;
+  }
+
+  MRI.bundles = { bundlesOf, findBundle, labelOf, selected, components, price, lines };
+})(typeof window !== 'undefined' ? window : globalThis);
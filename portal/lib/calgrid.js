@@ -0,0 +1,151 @@
+/* ---- MRI calgrid: week / month / day grid layout for room calendars ----
+   Pure layout for the admin Calendar grid. Positions are minutes from
+   local midnight (0…1440) in the calendar's timezone, so a 09:00 blackout
+   sits at 540 whatever the browser's zone and DST days stay 24 rows tall.
+     days('week', ymd)   → Monday…Sunday containing ymd
+     days('month', ymd)  → whole weeks covering ymd's month
+     bands(cal, ymd)     → opening hours as [{ start, end, label }]
+     blocks(cal, ymd)    → events on that day with lanes for overlaps
+     blocksByDays(cal, ymds) → { ymd: blocks } expanding events only once
+     shifted / resized / created → { startAt, endAt } ISO 8601 UTC
+   Moves keep wall-clock times (a 09:00 block dragged over a DST change
+   still starts at 09:00); a time inside a spring-forward gap moves
+   forward, as everywhere else in MRI.tz.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const T = MRI.tz;
+
+  const VIEWS = ['week', 'month', 'day'];
+  const DAY_MINS = 1440;
+
+  const validDate = v => !!v && !isNaN(new Date(v));
+  // Why an event cannot be drawn, or null when it can
+  function rangeIssue(ev){
+    if (!ev || !ev.startAt || !ev.endAt) return 'Missing start or end';
+    if (!validDate(ev.startAt) || !validDate(ev.endAt)) return 'Start or end is not a date';
+    if (!(new Date(ev.endAt) > new Date(ev.startAt))) return 'End must be after start';
+    return null;
+  }
+
+  // Local dates a view shows around ymd
+  function days(view, ymd){
+    if (view === 'day') return [ymd];
+    const monday = d => T.addDaysYmd(d, -T.DAYS.indexOf(T.dayKeyOfYmd(d)));
+    if (view === 'week') return T.DAYS.map((_, i) => T.addDaysYmd(monday(ymd), i));
+    const first = `${ymd.slice(0, 7)}-01`, out = [];
+    for (let d = monday(first); d.slice(0, 7) <= ymd.slice(0, 7) || out.length % 7; d = T.addDaysYmd(d, 1)) out.push(d);
+    return out;
+  }
+  // ymd moved by n views (days, weeks or months)
+  function shift(view, ymd, n){
+    if (view === 'day') return T.addDaysYmd(ymd, n);
+    if (view === 'week') return T.addDaysYmd(ymd, 7*n);
+    const [y, m] = ymd.split('-').map(Number);
+    const t = new Date(Date.UTC(y, m - 1 + n, 1));
+    return `${t.getUTCFullYear()}-${T.pad(t.getUTCMonth()+1)}-01`;
+  }
+
+  // Minutes from ymd's local midnight to an instant, clamped to the day
+  function minsOn(date, ymd, tz){
+    const d = T.ymdInZone(date, tz);
+    if (d < ymd) return 0;
+    if (d > ymd) return DAY_MINS;
+    return T.hmToMins(T.hmInZone(date, tz));
+  }
+  // Local ymd + minutes (may run past 1440 or below 0) → Date
+  function at(ymd, mins, tz){
+    const dayShift = Math.floor(mins / DAY_MINS);
+    return T.localToDate(T.addDaysYmd(ymd, dayShift), T.minsToHm(mins - dayShift*DAY_MINS), tz);
+  }
+  const snap = (mins, step=15) => Math.round(mins / step) * step;
+
+  // Opening hours of a day as minute bands; overnight ranges run to midnight
+  function bands(cal, ymd){
+    const h = MRI.availability.hoursFor(cal, ymd);
+    return h.ranges.map(r=>{
+      const start = T.hmToMins(r.start), end = r.end === '24:00' ? DAY_MINS : T.hmToMins(r.end);
+      return { start, end: end > start ? end : DAY_MINS, label: h.label };
+    });
+  }
+
+  // Events touching each local day (ymds ascending), one per occurrence:
+  // { ymd:[{ ev, index, occurrence, start, end, from, to, recurring, lane, lanes }] }
+  // index is the event's position in cal.events; from/to are the occurrence's
+  // Dates; continues* say the block runs on from / into another day.
+  // Events are expanded once over the whole range, then split into days.
+  function blocksByDays(cal, ymds){
+    const tz = cal.timezone;
+    const bounds = ymds.map(ymd => [T.localToDate(ymd, '00:00', tz), T.localToDate(T.addDaysYmd(ymd, 1), '00:00', tz)]);
+    const out = {};
+    ymds.forEach(ymd => out[ymd] = []);
+    if (!ymds.length) return out;
+    const from = bounds[0][0], to = bounds[bounds.length-1][1];
+    cal.events.forEach((ev, index)=>{
+      if (rangeIssue(ev)) return;
+      const recurring = !!MRI.recurrence.normalize(ev.recurrence);
+      MRI.recurrence.expand(ev, tz, { from, to }).forEach(o=>{
+        ymds.forEach((ymd, i)=>{
+          const [dayFrom, dayTo] = bounds[i];
+          if (!(o.end > dayFrom && o.start < dayTo)) return;
+          out[ymd].push({
+            ev, index, occurrence:o.ymd, from:o.start, to:o.end,
+            start:minsOn(o.start, ymd, tz), end:minsOn(o.end, ymd, tz),
+            continuesBefore:o.start < dayFrom, continuesAfter:o.end > dayTo, recurring,
+          });
+        });
+      });
+    });
+    ymds.forEach(ymd => lanes(out[ymd]));
+    return out;
+  }
+  const blocks = (cal, ymd) => blocksByDays(cal, [ymd])[ymd];
+
+  // Sorts a day's blocks and gives overlapping ones side-by-side lanes
+  function lanes(out){
+    out.sort((a, b)=> a.start - b.start || b.end - a.end);
+    let group = [], groupEnd = -1;
+    const close = () => group.forEach(b => b.lanes = Math.max(...group.map(x => x.lane)) + 1);
+    out.forEach(b=>{
+      if (b.start >= groupEnd){ close(); group = []; groupEnd = -1; }
+      const taken = group.filter(x => x.end > b.start).map(x => x.lane);
+      let lane = 0; while (taken.includes(lane)) lane++;
+      b.lane = lane; group.push(b); groupEnd = Math.max(groupEnd, b.end);
+    });
+    close();
+    return out;
+  }
+
+  // Local wall-clock of an instant as minutes from ymd0's midnight
+  function wallMins(date, ymd0, tz){
+    const d = T.ymdInZone(date, tz);
+    const dayDiff = Math.round((Date.parse(`${d}T00:00:00Z`) - Date.parse(`${ymd0}T00:00:00Z`)) / 86400000);
+    return dayDiff*DAY_MINS + T.hmToMins(T.hmInZone(date, tz));
+  }
+  const iso = d => d.toISOString();
+
+  // Event moved by whole days and minutes of wall-clock time
+  function shifted(ev, tz, dayDelta, minDelta){
+    const ymd0 = T.ymdInZone(new Date(ev.startAt), tz);
+    const s = wallMins(new Date(ev.startAt), ymd0, tz), e = wallMins(new Date(ev.endAt), ymd0, tz);
+    const move = dayDelta*DAY_MINS + minDelta;
+    return { startAt:iso(at(ymd0, s + move, tz)), endAt:iso(at(ymd0, e + move, tz)) };
+  }
+  // Event with its end moved to ymd + mins (at least step after the start)
+  function resized(ev, tz, ymd, mins, step=15){
+    const start = new Date(ev.startAt);
+    const ymd0 = T.ymdInZone(start, tz);
+    const s = wallMins(start, ymd0, tz);
+    const e = Math.max(s + step, wallMins(at(ymd, mins, tz), ymd0, tz));
+    return { startAt:ev.startAt, endAt:iso(at(ymd0, e, tz)) };
+  }
+  // New range from two drag points (either order) on local days
+  function created(tz, ymdA, minsA, ymdB, minsB, step=15){
+    const a = at(ymdA, minsA, tz), b = at(ymdB, minsB, tz);
+    const [s, e] = a <= b ? [a, b] : [b, a];
+    const end = e > s ? e : new Date(s.getTime() + step*60000);
+    return { startAt:iso(s), endAt:iso(end) };
+  }
+
+  MRI.calgrid = { VIEWS, DAY_MINS, rangeIssue, days, shift, minsOn, at, snap, bands, blocks, blocksByDays, shifted, resized, created };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,75 @@
+/* ---- MRI cancellation: fees.cancellationPolicy bands ----
+   A band {fromDays, toDays, chargePct} applies when the cancellation is
+   MORE than toDays and UP TO fromDays days before the booking starts
+   (the toDays:0 band also covers same-day / late cancellations).
+   Used by the Admin (Fees tab) and by booker terms so both say the same.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const { num, cents } = MRI.core;
+
+  const DAY_MS = 86400000;
+
+  function bandsOf(policy){
+    return (Array.isArray(policy) ? policy : [])
+      .map((b, ix) => ({ ix, fromDays:num(b.fromDays), toDays:num(b.toDays), chargePct:num(b.chargePct) }))
+      .sort((a,b) => b.fromDays - a.fromDays || b.toDays - a.toDays);
+  }
+
+  // [{level:'error'|'warn', ix, message}] — ix is the index in the stored array
+  function issues(policy){
+    const out = [];
+    const bands = bandsOf(policy);
+    if (!bands.length){ out.push({ level:'warn', ix:null, message:'No cancellation tiers — cancellations are free.' }); return out; }
+    bands.forEach(b=>{
+      if (b.fromDays <= b.toDays) out.push({ level:'error', ix:b.ix, message:`Tier ${b.fromDays}→${b.toDays}: “from” must be more days than “to”.` });
+      if (b.toDays < 0) out.push({ level:'error', ix:b.ix, message:`Tier ${b.fromDays}→${b.toDays}: days cannot be negative.` });
+      if (b.chargePct < 0 || b.chargePct > 100) out.push({ level:'error', ix:b.ix, message:`Tier ${b.fromDays}→${b.toDays}: charge must be 0–100%.` });
+    });
+    for (let i = 1; i < bands.length; i++){
+      const prev = bands[i-1], cur = bands[i];
+      if (cur.fromDays > prev.toDays) out.push({ level:'error', ix:cur.ix, message:`Overlap: ${prev.fromDays}→${prev.toDays} and ${cur.fromDays}→${cur.toDays} both cover ${Math.max(prev.toDays, cur.toDays)}–${Math.min(cur.fromDays, prev.fromDays)} days.` });
+      if (cur.fromDays < prev.toDays) out.push({ level:'error', ix:cur.ix, message:`Gap: nothing covers ${cur.fromDays}–${prev.toDays} days before.` });
+      if (cur.chargePct < prev.chargePct) out.push({ level:'warn', ix:cur.ix, message:`Tier ${cur.fromDays}→${cur.toDays} charges less (${cur.chargePct}%) than an earlier tier (${prev.chargePct}%).` });
+    }
+    const last = bands[bands.length-1];
+    if (last.toDays > 0) out.push({ level:'error', ix:last.ix, message:`Gap: nothing covers the last ${last.toDays} days before the booking.` });
+    return out;
+  }
+
+  // Band that applies `daysBefore` days ahead of the start (null = free)
+  function bandFor(policy, daysBefore){
+    const bands = bandsOf(policy);
+    return bands.find(b => daysBefore <= b.fromDays && (daysBefore > b.toDays || (b.toDays <= 0 && daysBefore <= 0))) || null;
+  }
+
+  // Charge due when a booking worth `total` is cancelled at cancelAt
+  function charge(policy, total, startAt, cancelAt){
+    const daysBefore = (new Date(startAt).getTime() - new Date(cancelAt).getTime()) / DAY_MS;
+    if (!Number.isFinite(daysBefore)) return { daysBefore:null, band:null, pct:0, amount:0 };
+    const band = bandFor(policy, daysBefore);
+    const pct = band ? band.chargePct : 0;
+    return { daysBefore, band, pct, amount: cents(num(total) * pct / 100) };
+  }
+
+  // Last moment a booking can be cancelled free of charge (null = never free)
+  function freeUntil(policy, startAt){
+    const paid = bandsOf(policy).filter(b => b.chargePct > 0);
+    if (!paid.length) return new Date(startAt);
+    const edge = Math.max(...paid.map(b => b.fromDays));
+    if (edge >= 9999) return null;
+    return new Date(new Date(startAt).getTime() - edge * DAY_MS);
+  }
+
+  // Plain-English lines for booker terms, generated from the same bands
+  function terms(policy){
+    const bands = bandsOf(policy);
+    if (!bands.length) return ['Free cancellation at any time.'];
+    return bands.map(b=>{
+      const when = b.fromDays >= 9999 ? `More than ${b.toDays} days before` : b.toDays <= 0 ? `${b.fromDays} days or less before` : `${b.fromDays} days or less, but more than ${b.toDays} days, before`;
+      return `${when} your booking: ${b.chargePct ? `${b.chargePct}% of the total is charged` : 'no charge'}.`;
+    });
+  }
+
+  MRI.cancellation = { bandsOf, issues, bandFor, charge, freeUntil, terms };
+})(typeof window !== 'undefined' ? window : globalThis);
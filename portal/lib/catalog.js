@@ -0,0 +1,133 @@
+/* ---- MRI catalog: migrate data/catalog/addons.json into categories[].items ----
+   Field mapping (add-on → admin item):
+     pricingMode perRoom   → priceType per_item,   pricingMode simple
+                 perPerson → priceType per_person, pricingMode simple
+                 perPeriod → pricingMode hour_or_day, ratePerHourExVAT =
+                             netPrice per unitPeriodMins converted to an hour
+                             (whole hours, no day rate)
+     netPrice → priceExVAT, includedByDefault → defaultSelected,
+     visibleToBooker → visibility public/hidden, stepQty → step,
+     taxCode → costing.taxCode; id, name, description, minQty, maxQty,
+     requires, excludes, active, sort, notes carry over unchanged.
+   reconcile() pairs items by id, then by name; merge() returns NEW
+   categories — the admin object passed in is never changed.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const C = MRI.core;
+  const { num, cents } = C;
+
+  const TAX_CODE_KEYS = { AV:'av', FNB:'fnb', FOOD:'fnb', CATERING:'fnb', GEN:'services', SERVICES:'services', STAFF:'staff', ROOM:'room' };
+
+  function get(obj, path){ return path.split('.').reduce((o,k)=> (o == null ? undefined : o[k]), obj); }
+  function set(obj, path, v){
+    const parts = path.split('.');
+    let o = obj;
+    parts.slice(0,-1).forEach(k=>{ if (!o[k] || typeof o[k] !== 'object') o[k] = {}; o = o[k]; });
+    o[parts[parts.length-1]] = v;
+  }
+  const empty = v => v === undefined || v === null || v === '' || (Array.isArray(v) && !v.length);
+  const same = (a, b) => (empty(a) && empty(b)) || JSON.stringify(a) === JSON.stringify(b);
+  const norm = s => String(s||'').toLowerCase().replace(/[^a-z0-9]+/g,' ').trim();
+
+  // Admin-item view of one add-on: [{ key, value }] in display order
+  function toItemFields(addon){
+    const period = addon.pricingMode === 'perPeriod';
+    const mins = num(addon.unitPeriodMins) || 60;
+    const f = [
+      ['id', addon.id],
+      ['name', addon.name],
+      ['publicLabel', addon.name],
+      ['description', addon.description],
+      ['pricingMode', period ? 'hour_or_day' : 'simple'],
+      ['priceType', period ? undefined : addon.pricingMode === 'perPerson' ? 'per_person' : 'per_item'],
+      ['priceExVAT', period ? undefined : num(addon.netPrice)],
+      ['ratePerHourExVAT', period ? cents(num(addon.netPrice) * 60 / mins) : undefined],
+      ['ratePerDayExVAT', period ? 0 : undefined],
+      ['roundHoursUp', period ? true : undefined],
+      ['defaultSelected', addon.includedByDefault === undefined ? undefined : !!addon.includedByDefault],
+      ['visibility', addon.visibleToBooker === undefined ? undefined : (addon.visibleToBooker ? 'public' : 'hidden')],
+      ['minQty', addon.minQty ?? undefined],
+      ['maxQty', addon.maxQty ?? undefined],
+      ['step', addon.stepQty ?? undefined],
+      ['requires', addon.requires],
+      ['excludes', addon.excludes],
+      ['active', addon.active],
+      ['sort', addon.sort],
+      ['notes', addon.notes],
+      ['costing.taxCode', addon.taxCode ?? undefined],
+    ];
+    return f.filter(([,v]) => v !== undefined).map(([key, value]) => ({ key, value }));
+  }
+  function toItem(addon){
+    const item = { taxable:true, inclusive:false };
+    toItemFields(addon).forEach(({key, value}) => set(item, key, value));
+    return item;
+  }
+
+  // Best existing category for an add-on: by name/label, then by tax code
+  function categoryFor(admin, addon){
+    const cats = admin && Array.isArray(admin.categories) ? admin.categories : [];
+    const want = norm(addon.category);
+    const byName = want && cats.find(c => [c.name, c.sectionLabel, String(c.id||'').replace(/^CAT-/i,'')].some(n => norm(n) && (norm(n) === want || norm(n).includes(want) || want.includes(norm(n)))));
+    if (byName) return byName.id;
+    const key = TAX_CODE_KEYS[String(addon.taxCode||addon.category||'').toUpperCase()];
+    const byKey = key && cats.find(c => C.vatKeyForCategory(c) === key);
+    return byKey ? byKey.id : null;
+  }
+
+  // [{ status:'match'|'conflict'|'addonOnly'|'adminOnly', addon, item, categoryId, fields }]
+  function reconcile(admin, catalog){
+    const addons = MRI.addons ? MRI.addons.itemsOf(catalog) : (catalog && catalog.items) || [];
+    const items = C.itemsOf(admin);
+    const used = new Set();
+    const rows = addons.map(addon=>{
+      const hit = items.find(x => !used.has(x.item) && x.item.id === addon.id)
+        || items.find(x => !used.has(x.item) && norm(addon.name) && [x.item.name, x.item.publicLabel].some(n => norm(n) === norm(addon.name)));
+      if (!hit) return { status:'addonOnly', addon, item:null, categoryId:categoryFor(admin, addon), fields:toItemFields(addon).map(f => ({ ...f, addonValue:f.value, adminValue:undefined, same:false })) };
+      used.add(hit.item);
+      const fields = toItemFields(addon).map(f => ({ key:f.key, addonValue:f.value, adminValue:get(hit.item, f.key), same:same(f.value, get(hit.item, f.key)) }));
+      return { status: fields.every(f => f.same || f.key === 'id') ? 'match' : 'conflict', addon, item:hit.item, categoryId:hit.category.id, fields };
+    });
+    items.filter(x => !used.has(x.item)).forEach(x => rows.push({ status:'adminOnly', addon:null, item:x.item, categoryId:x.category.id, fields:[] }));
+    return rows;
+  }
+
+  // choices: { [rowIx]: { import?:bool, categoryId?, fields:{ [key]:'addon'|'admin' } } }
+  // Conflicting fields default to the admin value; add-on-only rows import by default.
+  function merge(admin, rows, choices={}){
+    const cats = JSON.parse(JSON.stringify(admin.categories || []));
+    const find = id => { for (const c of cats) for (const it of (c.items||[])) if (it.id === id) return it; return null; };
+    const report = { updated:0, imported:0, skipped:0, createdCategories:[] };
+    rows.forEach((row, ix)=>{
+      const ch = choices[ix] || {};
+      if (row.status === 'conflict'){
+        const target = find(row.item.id);
+        let changed = false;
+        row.fields.forEach(f=>{
+          if (f.same || f.key === 'id' || (ch.fields||{})[f.key] !== 'addon') return;
+          set(target, f.key, f.addonValue); changed = true;
+        });
+        if (changed) report.updated++;
+      } else if (row.status === 'addonOnly'){
+        if (ch.import === false){ report.skipped++; return; }
+        let catId = ch.categoryId || row.categoryId;
+        let cat = cats.find(c => c.id === catId);
+        if (!cat){
+          catId = catId || 'CAT-ADDONS';
+          cat = cats.find(c => c.id === catId);
+          if (!cat){ cat = { id:catId, name: row.addon.category || 'Add-ons', items:[] }; cats.push(cat); report.createdCategories.push(catId); }
+        }
+        cat.items = cat.items || [];
+        let item = toItem(row.addon);
+        if (find(item.id)) item = { ...item, id:`${item.id}-addon` };
+        item.categoryId = cat.id;
+        cat.items.push(item);
+        report.imported++;
+      }
+    });
+    return { categories:cats, report };
+  }
+
+  MRI.catalog = { TAX_CODE_KEYS, toItemFields, toItem, categoryFor, reconcile, merge };
+})(typeof window !== 'undefined' ? window : globalThis);
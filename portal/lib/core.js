@@ -0,0 +1,94 @@
+/* ---- MRI core: shared namespace + read helpers over admin-data.json ----
+   Plain script, no build step. Every engine in /portal/lib hangs off
+   window.MRI and only ever READS the admin object it is given.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+
+  const num = v => { const n = parseFloat(String(v ?? '').replace(',','.')); return Number.isFinite(n) ? n : 0; };
+
+  // rooms can be an array (canonical) or an id → room map (older exports)
+  function roomsOf(admin){
+    const r = admin && admin.rooms;
+    if (Array.isArray(r)) return r;
+    if (r && typeof r === 'object') return Object.entries(r).map(([k,v])=>({ id: k, ...(v||{}) }));
+    return [];
+  }
+  function findRoom(admin, roomId){
+    return roomsOf(admin).find(r => (r.id||r.roomId) === roomId) || null;
+  }
+  function roomLabel(room){ return room ? (room.name || room.id || '—') : '—'; }
+
+  // Text → safe inside HTML content and quoted attributes
+  const esc = t => String(t ?? '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+
+  // 'naturalLight' → 'Natural light'
+  const humanize = k => String(k).replace(/([a-z])([A-Z])/g,'$1 $2').replace(/[_-]+/g,' ').toLowerCase().replace(/^./, c=>c.toUpperCase());
+
+  // Features a room HAS: true booleans in rooms[].features (or strings when
+  // the older array shape is used) plus rooms[].customFeatures.
+  function featuresOf(room){
+    const out = [];
+    const f = room && room.features;
+    if (Array.isArray(f)) f.forEach(x=>{ if (typeof x === 'string' && x.trim()) out.push(x.trim()); });
+    else if (f && typeof f === 'object') Object.entries(f).forEach(([k,v])=>{ if (v === true) out.push(k); });
+    (room && Array.isArray(room.customFeatures) ? room.customFeatures : []).forEach(x=>{
+      const v = typeof x === 'string' ? x : (x && (x.name || x.label));
+      if (v && String(v).trim()) out.push(String(v).trim());
+    });
+    return [...new Set(out)];
+  }
+  // Every feature key any room could offer (booleans even when false)
+  function allFeatureKeys(admin){
+    const keys = new Set();
+    roomsOf(admin).forEach(r=>{
+      if (r.features && typeof r.features === 'object' && !Array.isArray(r.features)) Object.keys(r.features).forEach(k=> keys.add(k));
+      featuresOf(r).forEach(k=> keys.add(k));
+    });
+    return [...keys];
+  }
+  // rooms[].layouts with a usable capacity; legacy capacities map supported
+  function layoutsOf(room){
+    if (room && Array.isArray(room.layouts)) return room.layouts.filter(l => l && l.type).map(l => ({ type:l.type, capacity:num(l.capacity), default:!!l.default }));
+    if (room && room.capacities && typeof room.capacities === 'object') return Object.entries(room.capacities).map(([type,c]) => ({ type, capacity:num(c), default:false }));
+    return [];
+  }
+
+  // Flat list of {item, category} across categories[].items
+  function itemsOf(admin){
+    const out = [];
+    (admin && Array.isArray(admin.categories) ? admin.categories : []).forEach(cat=>{
+      (cat.items||[]).forEach(item=> out.push({ item, category: cat }));
+    });
+    return out;
+  }
+  function findItem(admin, itemId){
+    return itemsOf(admin).find(x => x.item.id === itemId) || null;
+  }
+
+  // CAT-FNB → 'fnb', CAT-AV → 'av' … an explicit category.vatKey wins.
+  function vatKeyForCategory(category){
+    if (!category) return 'room';
+    if (category.vatKey) return category.vatKey;
+    return String(category.id||'').replace(/^CAT-/i,'').toLowerCase() || 'room';
+  }
+  // Rate for a VAT key; unknown keys fall back to the global vatRate.
+  function vatRateFor(admin, key){
+    const d = admin && admin.pricing && admin.pricing.vatDefaults || {};
+    if (d[key] !== undefined && d[key] !== '') return num(d[key]);
+    return num(admin && admin.vatRate);
+  }
+
+  // Round to a step (0.01, 0.05, 1 …) using pricing.roundingMode semantics
+  function roundTo(value, step=0.01, mode='nearest'){
+    const s = num(step) > 0 ? num(step) : 0.01;
+    const q = value / s;
+    // guard against float noise such as 4.999999 → 5
+    const e = Math.round(q * 1e6) / 1e6;
+    const r = mode === 'up' ? Math.ceil(e) : mode === 'down' ? Math.floor(e) : Math.round(e);
+    return Math.round(r * s * 100) / 100;
+  }
+  const cents = v => roundTo(v, 0.01, 'nearest');
+
+  MRI.core = { num, esc, humanize, roomsOf, findRoom, roomLabel, featuresOf, allFeatureKeys, layoutsOf, itemsOf, findItem, vatKeyForCategory, vatRateFor, roundTo, cents };
+})(typeof window !== 'undefined' ? window : globalThis);
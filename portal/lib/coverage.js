@@ -0,0 +1,79 @@
+/* ---- MRI coverage: which admin-data.json fields the UI actually binds ----
+   Each tab registers the exact JSON paths it renders (data-bind / data-key
+   on a control, or markVisited for read-only values); report() compares
+   those with every leaf of the document:
+     leaf    = a scalar, an array of plain values, or an empty object/array,
+               in dot notation (rooms.0.layouts.2.capacity)
+     mapped  = a leaf whose exact path some tab registered
+     partial = a container with both mapped and unmapped leaves below it
+   No name matching: binding rooms.0.name maps that field only, not every
+   *.name in the file. statusEntry() formats a report for docs/STATUS.md.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+
+  const isObj = v => v !== null && typeof v === 'object';
+  const at = (path, k) => path === '' ? String(k) : `${path}.${k}`;
+  const pct = (n, of) => of ? Math.round(n * 100 / of) : 100;
+
+  function leaves(doc, path='', out=[]){
+    const container = isObj(doc) && (Array.isArray(doc) ? doc.some(isObj) : Object.keys(doc).length > 0);
+    if (container) Object.keys(doc).forEach(k => leaves(doc[k], at(path, k), out));
+    else if (path !== '') out.push(path);
+    return out;
+  }
+
+  // byTab: { [tabId]: iterable of registered paths }
+  function report(doc, byTab){
+    const all = leaves(doc);
+    const known = new Set(all);
+    const owners = {};
+    const tabs = Object.entries(byTab).map(([tab, paths])=>{
+      const bound = [...new Set(paths)];
+      const hits = bound.filter(p => known.has(p));
+      hits.forEach(p => (owners[p] = owners[p] || []).push(tab));
+      return { tab, bound:bound.length, mapped:hits.length, sections:[...new Set(hits.map(p => p.split('.')[0]))] };
+    });
+    const mappedPaths = all.filter(p => owners[p]);
+    const unmappedPaths = all.filter(p => !owners[p]);
+
+    const sections = {};
+    all.forEach(p=>{
+      const s = sections[p.split('.')[0]] = sections[p.split('.')[0]] || { section:p.split('.')[0], total:0, mapped:0, tabs:new Set() };
+      s.total++;
+      if (owners[p]){ s.mapped++; owners[p].forEach(t => s.tabs.add(t)); }
+    });
+
+    const counts = {};
+    all.forEach(p=>{
+      const segs = p.split('.');
+      for (let i = 1; i < segs.length; i++){
+        const c = counts[segs.slice(0, i).join('.')] = counts[segs.slice(0, i).join('.')] || [0, 0];
+        c[owners[p] ? 0 : 1]++;
+      }
+    });
+    const partial = Object.keys(counts).filter(k => counts[k][0] && counts[k][1]);
+
+    return {
+      total:all.length, mapped:mappedPaths.length, unmapped:unmappedPaths.length, pct:pct(mappedPaths.length, all.length),
+      mappedPaths, unmappedPaths, partial,
+      tabs,
+      sections:Object.values(sections).map(s => ({ ...s, tabs:[...s.tabs], pct:pct(s.mapped, s.total) })),
+    };
+  }
+
+  // Same shape as the dated entries in docs/STATUS.md
+  function statusEntry(r, date, labels={}){
+    const name = t => labels[t] || t;
+    return [
+      `## ${date}`,
+      `- Coverage: ${r.pct}% (${r.total} total; ${r.mapped} mapped; ${r.unmapped} unmapped).`,
+      `- By tab: ${r.tabs.filter(t => t.mapped).map(t => `${name(t.tab)} ${t.mapped}`).join('; ') || 'none'}.`,
+      `- By section: ${r.sections.map(s => `${s.section} ${s.pct}% (${s.mapped}/${s.total})`).join('; ')}.`,
+      `- Partial (parents with mixed children): ${r.partial.length}`,
+      '',
+    ].join('\n');
+  }
+
+  MRI.coverage = { leaves, report, statusEntry };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,189 @@
+/* ---- MRI diff: path-level changes between two admin-data.json copies ----
+   diff(before, after) → [{ path, kind:'added'|'removed'|'changed', before, after }]
+   Arrays of objects are paired by id (layouts by type) so inserting a room
+   does not show every later room as changed; paths use the index on the
+   side the value lives on (before for removals, after otherwise). Arrays
+   of plain values (days, requires, …) compare as one value.
+   describe() turns a change into a sentence such as
+     "River room: Classroom capacity 16 → 18". apply()/revert() replay or
+     undo changes on a newer copy (History tab); merge3() rebases a draft
+     onto a changed canonical file.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const C = MRI.core;
+
+  const GROUPS = ['rooms', 'pricing', 'categories', 'calendars'];
+  const isObj = v => v !== null && typeof v === 'object';
+  const keyOf = x => isObj(x) && !Array.isArray(x) ? (x.id ?? x.type ?? null) : null;
+
+  // Key for every element, or null when the array cannot be paired by key
+  function keysOf(arr){
+    const keys = arr.map(keyOf);
+    if (!arr.length || keys.some(k => k === null || k === '') || new Set(keys).size !== keys.length) return null;
+    return keys;
+  }
+
+  function diff(before, after, path='', out=[]){
+    const at = k => path === '' ? String(k) : `${path}.${k}`;
+    if (JSON.stringify(before) === JSON.stringify(after)) return out;
+    if (before === undefined){ out.push({ path, kind:'added', before, after }); return out; }
+    if (after === undefined){ out.push({ path, kind:'removed', before, after }); return out; }
+    if (Array.isArray(before) && Array.isArray(after) && [...before, ...after].every(x => isObj(x) && !Array.isArray(x))){
+      const kb = keysOf(before), ka = keysOf(after);
+      if (kb && ka){
+        ka.forEach((k, i)=>{ const j = kb.indexOf(k); diff(j < 0 ? undefined : before[j], after[i], at(i), out); });
+        kb.forEach((k, j)=>{ if (!ka.includes(k)) out.push({ path:at(j), kind:'removed', before:before[j], after:undefined }); });
+      } else {
+        for (let i = 0; i < Math.max(before.length, after.length); i++) diff(before[i], after[i], at(i), out);
+      }
+      return out;
+    }
+    if (isObj(before) && isObj(after) && !Array.isArray(before) && !Array.isArray(after)){
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach(k => diff(before[k], after[k], at(k), out));
+      return out;
+    }
+    out.push({ path, kind:'changed', before, after });
+    return out;
+  }
+
+  function groupOf(path){
+    const head = String(path).split('.')[0];
+    return GROUPS.includes(head) ? head : 'other';
+  }
+  // { rooms:[…], pricing:[…], categories:[…], calendars:[…], other:[…] }
+  function grouped(changes){
+    const out = {};
+    GROUPS.concat('other').forEach(g => out[g] = []);
+    changes.forEach(ch => out[groupOf(ch.path)].push(ch));
+    return out;
+  }
+
+  const words = k => C.humanize(k).toLowerCase().replace(/\bv a t\b|\bvat\b/g, 'VAT').replace(/\bex v a t\b/g, 'ex VAT');
+  const singular = k => String(k).replace(/ies$/, 'y').replace(/s$/, '');
+  function labelOf(x, i){
+    if (!isObj(x)) return `#${i+1}`;
+    const start = x.startAt || x.startsAt;
+    if (start !== undefined) return `${x.title || x.type || 'event'}${start ? ` ${start}` : ''}`;
+    return x.name || x.publicLabel || x.type || x.title || x.id || `#${i+1}`;
+  }
+  function show(v){
+    if (v === undefined || v === null || v === '') return '—';
+    if (typeof v === 'string') return `“${v}”`;
+    const s = JSON.stringify(v);
+    return s.length > 60 ? s.slice(0, 57) + '…' : s;
+  }
+
+  // "River room: Classroom capacity 16 → 18"
+  function describe(change, before, after){
+    const doc = change.kind === 'removed' ? before : after;
+    const segs = change.path === '' ? [] : change.path.split('.');
+    const entities = [], fields = [];
+    let node = doc, noun = '';
+    segs.forEach((seg, i)=>{
+      const el = isObj(node) ? node[seg] : undefined;
+      if (i === 0){ node = el; return; }
+      if (i === 1 && segs[0] === 'calendars'){
+        const room = C.findRoom(doc, seg) || C.findRoom(before, seg);
+        entities.push(`${room ? C.roomLabel(room) : seg} calendar`); fields.length = 0; noun = '';
+      } else if (Array.isArray(node) && isObj(el) && !Array.isArray(el)){
+        entities.push(labelOf(el, Number(seg))); fields.length = 0;
+        noun = segs[0] === 'calendars' && i === 2 ? 'event' : singular(segs[i-1]);
+      } else {
+        fields.push(Array.isArray(node) ? `#${Number(seg)+1}` : words(seg));
+      }
+      node = el;
+    });
+    const whole = entities.length > 0 && !fields.length;
+    const scopes = whole ? entities.slice(0, -1) : entities;
+    const scope = scopes[0] || C.humanize(segs[0] || 'document');
+    const body = whole
+      ? [noun, entities[entities.length-1]].filter(Boolean).join(' ')
+      : [...scopes.slice(1), fields.join(' ')].filter(Boolean).join(' ');
+    const field = body ? `${body} ` : '';
+    if (change.kind === 'added') return whole ? `${scope}: added ${body}` : `${scope}: ${field}added ${show(change.after)}`;
+    if (change.kind === 'removed') return whole ? `${scope}: removed ${body}` : `${scope}: ${field}removed (was ${show(change.before)})`;
+    return `${scope}: ${field}${show(change.before)} → ${show(change.after)}`;
+  }
+
+  function summary(before, after){
+    return diff(before, after).map(ch => ({ ...ch, group:groupOf(ch.path), text:describe(ch, before, after) }));
+  }
+
+  // Replays `changes` (from diff(before, after)) on `doc`, which may have
+  // moved on since: array steps are found again by id/type where the
+  // element has one; changes whose parent no longer exists are skipped.
+  // inverse=true undoes them instead. MUTATES `doc`; returns how many applied.
+  function patch(doc, changes, after, inverse){
+    const clone = v => v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+    const find = (arr, key, ix) => key === null ? ix : arr.findIndex(x => keyOf(x) === key);
+    const insertKind = inverse ? 'removed' : 'added';
+    let applied = 0;
+    (inverse ? changes.slice().reverse() : changes).forEach(ch=>{
+      const put = inverse ? ch.before : ch.after, drop = inverse ? ch.after : ch.before;
+      const segs = ch.path.split('.');
+      const last = segs.pop();
+      let node = doc, ref = after;
+      for (const seg of segs){
+        if (!isObj(node)) return;
+        if (Array.isArray(node)){
+          const ix = find(node, keyOf(isObj(ref) ? ref[seg] : null), Number(seg));
+          ref = isObj(ref) ? ref[seg] : undefined;
+          node = ix < 0 ? undefined : node[ix];
+        } else { ref = isObj(ref) ? ref[seg] : undefined; node = node[seg]; }
+      }
+      if (!isObj(node)) return;
+      if (Array.isArray(node)){
+        const ix = Number(last);
+        if (ch.kind === insertKind){
+          if (keyOf(put) !== null && find(node, keyOf(put), -1) >= 0) return;
+          node.splice(Math.min(ix, node.length), 0, clone(put));
+        } else {
+          const at = find(node, keyOf(drop), ix);
+          if (at < 0 || at >= node.length) return;
+          if (ch.kind === 'changed') node[at] = clone(put); else node.splice(at, 1);
+        }
+      } else if (put === undefined) delete node[last];
+      else node[last] = clone(put);
+      applied++;
+    });
+    return applied;
+  }
+  const apply = (doc, changes, before, after) => patch(doc, changes, after, false);
+  const revert = (doc, changes, before, after) => patch(doc, changes, after, true);
+
+  // Path with array indices replaced by element keys: rooms.[RM-101].name
+  function keyPath(change, before, after){
+    const segs = change.path.split('.');
+    let node = after;
+    return segs.map((seg, i)=>{
+      const el = i === segs.length-1 && change.kind === 'removed' ? change.before : (isObj(node) ? node[seg] : undefined);
+      const k = Array.isArray(node) ? keyOf(el) : null;
+      node = isObj(node) ? node[seg] : undefined;
+      return k === null ? seg : `[${k}]`;
+    }).join('.');
+  }
+
+  // Three-way merge: replay base → mine on top of theirs. Both sides
+  // changing the same field (or one changing inside what the other
+  // removed) to different values is a conflict; pick[key] = 'theirs'
+  // keeps the upstream value, anything else keeps mine.
+  function merge3(base, mine, theirs, pick={}){
+    const ours = diff(base, mine), upstream = diff(base, theirs);
+    const up = upstream.map(ch => ({ ch, key:keyPath(ch, base, theirs) }));
+    const related = (a, b) => a === b || a.startsWith(b + '.') || b.startsWith(a + '.');
+    const conflicts = [];
+    const keep = ours.filter(ch=>{
+      const key = keyPath(ch, base, mine);
+      const other = up.find(u => related(u.key, key));
+      if (!other || (other.key === key && JSON.stringify(other.ch.after) === JSON.stringify(ch.after))) return true;
+      conflicts.push({ key, mine:ch, theirs:other.ch, text:describe(ch, base, mine), theirsText:describe(other.ch, base, theirs) });
+      return pick[key] !== 'theirs';
+    });
+    const result = JSON.parse(JSON.stringify(theirs));
+    apply(result, keep, base, mine);
+    return { result, ours, upstream, conflicts };
+  }
+
+  MRI.diff = { GROUPS, diff, groupOf, grouped, describe, summary, apply, revert, keyPath, merge3 };
+})(typeof window !== 'undefined' ? window : globalThis);
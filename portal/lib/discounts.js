@@ -0,0 +1,91 @@
+/* ---- MRI discounts: early-booking, multi-day and non-profit ----
+   Rates come from discounts.{earlyBookingPct, earlyBookingDays, multiDayPct,
+   nonProfitPct}. Stacking lives in discounts.rules[kind]:
+     { stack:'best'|'combine', appliesTo:['room','fnb','av',…] }
+   'best' discounts compete (only the largest applies); 'combine' discounts
+   always apply on top, each on what is left after the previous one.
+   Discount lines are negative and split per VAT key so VAT stays correct.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const { num, cents } = MRI.core;
+
+  const KINDS = [
+    { kind:'earlyBooking', label:'Early-booking discount', pctKey:'earlyBookingPct', rule:{ stack:'best', appliesTo:['room'] } },
+    { kind:'multiDay',     label:'Multi-day discount',     pctKey:'multiDayPct',     rule:{ stack:'best', appliesTo:['room'] } },
+    { kind:'nonProfit',    label:'Non-profit discount',    pctKey:'nonProfitPct',    rule:{ stack:'combine', appliesTo:['room','fnb','av','services'] } },
+  ];
+  const DAY_MS = 86400000;
+
+  function rulesOf(admin){
+    const d = (admin && admin.discounts) || {};
+    const stored = d.rules || {};
+    const out = {};
+    KINDS.forEach(k=>{
+      const r = stored[k.kind] || {};
+      out[k.kind] = {
+        stack: r.stack === 'combine' ? 'combine' : r.stack === 'best' ? 'best' : k.rule.stack,
+        appliesTo: Array.isArray(r.appliesTo) ? r.appliesTo.slice() : k.rule.appliesTo.slice()
+      };
+    });
+    return out;
+  }
+
+  // Which discounts this booking qualifies for. ctx.durationMins comes from the
+  // quote; ctx.force = {kind:true|false} overrides detection (preview grid).
+  function eligible(admin, req, ctx={}){
+    const d = (admin && admin.discounts) || {};
+    const start = new Date(req.startAt).getTime();
+    const booked = req.bookedAt ? new Date(req.bookedAt).getTime() : Date.now();
+    const leadDays = (start - booked) / DAY_MS;
+    const detected = {
+      earlyBooking: Number.isFinite(leadDays) && leadDays >= num(d.earlyBookingDays) ? `booked ${Math.floor(leadDays)} days ahead (≥ ${num(d.earlyBookingDays)})` : null,
+      multiDay: num(ctx.durationMins) > 1440 ? `${Math.ceil(num(ctx.durationMins)/1440)} days` : null,
+      nonProfit: req.nonProfit ? 'non-profit rate' : null,
+    };
+    const out = [];
+    KINDS.forEach(k=>{
+      const pct = num(d[k.pctKey]);
+      const forced = ctx.force && k.kind in ctx.force;
+      const on = forced ? !!ctx.force[k.kind] : !!detected[k.kind];
+      if (pct > 0 && on) out.push({ kind:k.kind, pct, reason: forced ? 'preview' : detected[k.kind] });
+    });
+    return out;
+  }
+
+  // Negative quote lines for the discounts that win under the stacking rules
+  function lines(admin, req, baseLines, ctx={}){
+    const rules = rulesOf(admin);
+    const base = MRI.quote.baseGroups(baseLines.filter(l => l.kind !== 'discount'));
+    const groupsFor = (key, remaining) => Object.values(remaining).filter(g => g.vatKey === key);
+    const amountFor = (d, remaining) => rules[d.kind].appliesTo.reduce((s,k)=> s + groupsFor(k, remaining).reduce((t,g)=> t + g.amount * d.pct / 100, 0), 0);
+
+    const found = eligible(admin, req, ctx);
+    const best = found.filter(d => rules[d.kind].stack === 'best')
+      .sort((a,b)=> amountFor(b, base) - amountFor(a, base))[0];
+    const winners = (best ? [best] : []).concat(found.filter(d => rules[d.kind].stack === 'combine'));
+    const skipped = found.filter(d => !winners.includes(d));
+
+    const remaining = {};
+    Object.entries(base).forEach(([k,v])=> remaining[k] = { ...v });
+    const out = [];
+    winners.forEach(d=>{
+      const meta = KINDS.find(k => k.kind === d.kind);
+      rules[d.kind].appliesTo.forEach(key => groupsFor(key, remaining).forEach(r=>{
+        if (r.amount <= 0) return;
+        const amt = cents(r.amount * d.pct / 100);
+        r.amount -= amt;
+        const exempt = r.taxable ? '' : ' (VAT exempt)';
+        out.push(MRI.quote.line({ id:`${d.kind}-${key}${r.taxable ? '' : '-exempt'}`, kind:'discount', label:`${meta.label} ${d.pct}% · ${key}${exempt}`, categoryId:null, vatKey:key,
+          qty:1, unit:'', unitPrice:-amt, amount:-amt, taxable:r.taxable, note:d.reason }));
+      }));
+    });
+    skipped.forEach(d=>{
+      const meta = KINDS.find(k => k.kind === d.kind);
+      out.push(MRI.quote.line({ id:`${d.kind}-skipped`, kind:'discount', label:`${meta.label} ${d.pct}%`, vatKey:'room', qty:0, unitPrice:0, amount:0, note:'not applied — a better best-of discount won' }));
+    });
+    return out;
+  }
+
+  MRI.discounts = { KINDS, rulesOf, eligible, lines };
+})(typeof window !== 'undefined' ? window : globalThis);
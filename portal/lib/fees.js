@@ -0,0 +1,167 @@
+/* ---- MRI fees: out-of-hours, rush, flip, storage and deposit ----
+   Rates come from fees.{outOfHoursSurchargePct, leadTimeRushHours,
+   rushFeePct, flipFeeExVAT, storageFeeExVAT, depositPct}. Each rule
+   decides for itself whether a booking triggers it:
+     outOfHours  minutes outside standard hours — the room calendar's
+                 openingHours clipped to baseRates.earliestStart/latestEnd
+                 (either one alone when only one is set); % of room hire
+                 pro rata to those minutes
+     rush        start is less than leadTimeRushHours after req.bookedAt;
+                 % of everything else, split per VAT key like discounts
+     flip        the room's previous BOOKING ends in a different layout
+                 (event.layout, else the room's default layout)
+     storage     req.storageDays × storageFeeExVAT
+   evaluate() explains every rule, applied or not; lines() emits the
+   applied ones as kind:'fee' quote lines. deposit() is what is due upfront.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const T = MRI.tz;
+  const C = MRI.core;
+  const { num, cents } = C;
+
+  const KINDS = [
+    { kind:'outOfHours', label:'Out-of-hours surcharge', key:'outOfHoursSurchargePct' },
+    { kind:'rush',       label:'Rush fee',               key:'rushFeePct' },
+    { kind:'flip',       label:'Layout change (flip)',   key:'flipFeeExVAT' },
+    { kind:'storage',    label:'Storage',                key:'storageFeeExVAT' },
+  ];
+  const HOUR_MS = 3600000;
+
+  const hm = mins => `${Math.floor(mins/60)}h${mins % 60 ? ` ${T.pad(mins % 60)}m` : ''}`;
+  const overlapMins = (s, e, r) => Math.max(0, Math.min(e, r.end) - Math.max(s, r.start)) / 60000;
+
+  // Standard hours for one local date as [{start:Date, end:Date}] plus a
+  // description of where they came from
+  function standardRanges(admin, roomId, ymd){
+    const cal = MRI.availability.calendarOf(admin, roomId);
+    const room = C.findRoom(admin, roomId) || {};
+    const br = room.baseRates || {};
+    const es = br.earliestStart || room.earliestStart, le = br.latestEnd || room.latestEnd;
+    let ranges = MRI.availability.openRanges(cal, ymd);
+    let source = cal.hoursSource === 'calendar' ? 'opening hours' : 'room hours';
+    if (cal.hoursSource === 'calendar' && (es || le)){
+      // a missing bound leaves that side of the opening hours as it is
+      const lo = es ? T.localToDate(ymd, es, cal.timezone).getTime() : -Infinity;
+      const overnight = le === '24:00' || (es && le && T.hmToMins(le) <= T.hmToMins(es));
+      const hi = le ? T.localToDate(overnight ? T.addDaysYmd(ymd, 1) : ymd, le === '24:00' ? '00:00' : le, cal.timezone).getTime() : Infinity;
+      ranges = ranges.map(r => ({ start:new Date(Math.max(r.start, lo)), end:new Date(Math.min(r.end, hi)) })).filter(r => r.end > r.start);
+      source = es && le ? `opening hours within room hours ${es}–${le}` : es ? `opening hours from ${es}` : `opening hours until ${le}`;
+    }
+    return { ranges, source, timezone:cal.timezone };
+  }
+
+  // { totalMins, outsideMins, hours:'MO 08:00–18:00', source } or null
+  function outOfHours(admin, req){
+    const start = new Date(req.startAt), end = new Date(req.endAt);
+    if (!(end > start)) return null;
+    const tz = MRI.availability.calendarOf(admin, req.roomId).timezone;
+    const first = T.ymdInZone(start, tz), last = T.ymdInZone(end, tz);
+    let inside = 0, source = '';
+    const hours = [];
+    // the day before too: its overnight range can reach into the booking
+    for (let ymd = T.addDaysYmd(first, -1), guard = 0; ymd <= last && guard < 400; ymd = T.addDaysYmd(ymd, 1), guard++){
+      const day = standardRanges(admin, req.roomId, ymd);
+      day.ranges.forEach(r => inside += overlapMins(start, end, r));
+      source = day.source;
+      if (ymd >= first) hours.push(`${T.dayKeyOfYmd(ymd)} ${day.ranges.map(r => `${T.hmInZone(r.start, tz)}–${T.hmInZone(r.end, tz)}`).join(', ') || 'closed'}`);
+    }
+    const totalMins = Math.round((end - start) / 60000);
+    return { totalMins, outsideMins:Math.max(0, totalMins - Math.round(inside)), hours:hours.join('; '), source };
+  }
+
+  // { hoursAhead, windowHours, inside } — inside is false when no window is set
+  function rush(admin, req){
+    const windowHours = num(((admin && admin.fees) || {}).leadTimeRushHours);
+    const booked = req.bookedAt ? new Date(req.bookedAt).getTime() : Date.now();
+    const hoursAhead = (new Date(req.startAt).getTime() - booked) / HOUR_MS;
+    return { hoursAhead, windowHours, inside: windowHours > 0 && Number.isFinite(hoursAhead) && hoursAhead >= 0 && hoursAhead < windowHours };
+  }
+
+  // The room's previous booking and the layout it leaves behind; changed
+  // is true when this booking needs a different one
+  function flip(admin, req){
+    const cal = MRI.availability.calendarOf(admin, req.roomId);
+    const start = new Date(req.startAt);
+    const prev = cal.events
+      .filter(ev => String(ev.type||'').toUpperCase() === 'BOOKING' && !/cancel/i.test(ev.status||'') && (!req.id || ev.id !== req.id))
+      .filter(ev => new Date(ev.endAt) <= start)
+      .sort((a,b)=> new Date(b.endAt) - new Date(a.endAt))[0];
+    if (!prev) return null;
+    const def = (C.layoutsOf(C.findRoom(admin, req.roomId)).find(l => l.default) || {}).type || null;
+    const from = prev.layout || def, to = req.layout || def;
+    return { previous:prev, from, to, changed: !!(from && to && from !== to) };
+  }
+
+  // [{ kind, label, applies, reason, amountExVAT }] for every rule
+  function evaluate(admin, req, baseLines=[]){
+    const f = (admin && admin.fees) || {};
+    const tz = MRI.availability.calendarOf(admin, req.roomId).timezone;
+    const meta = kind => KINDS.find(k => k.kind === kind);
+    const out = [];
+    const add = (kind, applies, reason, amountExVAT=0, parts) => out.push({ kind, label:meta(kind).label, applies, reason, amountExVAT:cents(amountExVAT), parts });
+
+    const ooh = outOfHours(admin, req);
+    const ohPct = num(f.outOfHoursSurchargePct);
+    const hire = baseLines.filter(l => l.kind === 'room' && l.id === req.roomId).reduce((s,l)=> s + l.amountExVAT, 0);
+    if (!ooh) add('outOfHours', false, 'no valid booking window');
+    else if (!ooh.outsideMins) add('outOfHours', false, `inside standard hours (${ooh.hours}, ${ooh.source})`);
+    else if (ohPct <= 0) add('outOfHours', false, `${hm(ooh.outsideMins)} outside ${ooh.hours} but outOfHoursSurchargePct is 0`);
+    else if (hire <= 0) add('outOfHours', false, `${hm(ooh.outsideMins)} outside ${ooh.hours} but there is no room hire to surcharge`);
+    else add('outOfHours', true, `${hm(ooh.outsideMins)} of ${hm(ooh.totalMins)} outside ${ooh.hours} (${ooh.source}) · ${ohPct}% of room hire pro rata`, hire * ooh.outsideMins / ooh.totalMins * ohPct / 100);
+
+    const r = rush(admin, req);
+    const rushPct = num(f.rushFeePct);
+    const base = MRI.quote.baseGroups(baseLines.filter(l => l.kind !== 'discount' && l.kind !== 'fee'));
+    if (!r.windowHours) add('rush', false, 'no rush window (leadTimeRushHours is 0)');
+    else if (!r.inside) add('rush', false, Number.isFinite(r.hoursAhead) && r.hoursAhead >= 0 ? `booked ${Math.floor(r.hoursAhead)}h ahead (≥ ${r.windowHours}h)` : 'booked after the start time');
+    else if (rushPct <= 0) add('rush', false, `booked ${Math.floor(r.hoursAhead)}h ahead (< ${r.windowHours}h) but rushFeePct is 0`);
+    else {
+      const parts = Object.values(base).map(g => ({ vatKey:g.vatKey, taxable:g.taxable, amountExVAT:cents(g.amount * rushPct / 100) }));
+      add('rush', true, `booked ${Math.floor(r.hoursAhead)}h before the start, inside the ${r.windowHours}h lead time · ${rushPct}%`, parts.reduce((s,p)=> s + p.amountExVAT, 0), parts);
+    }
+
+    const fl = flip(admin, req);
+    const flipFee = num(f.flipFeeExVAT);
+    if (!fl) add('flip', false, 'no earlier booking in this room');
+    else {
+      const prev = `previous booking “${fl.previous.title || fl.previous.id || ''}” ending ${T.ymdInZone(new Date(fl.previous.endAt), tz)} ${T.hmInZone(new Date(fl.previous.endAt), tz)}`;
+      if (!fl.changed) add('flip', false, fl.from && fl.to ? `${prev} is already in ${fl.to}` : `${prev}; layout not known on both sides`);
+      else if (flipFee <= 0) add('flip', false, `${prev} is in ${fl.from}, this booking needs ${fl.to}, but flipFeeExVAT is 0`);
+      else add('flip', true, `${prev} is in ${fl.from}; this booking needs ${fl.to}`, flipFee);
+    }
+
+    const days = Math.max(0, num(req.storageDays));
+    const storageFee = num(f.storageFeeExVAT);
+    if (!days) add('storage', false, 'no storage requested');
+    else if (storageFee <= 0) add('storage', false, `${days} day(s) requested but storageFeeExVAT is 0`);
+    else add('storage', true, `${days} day(s) × ${storageFee}`, days * storageFee);
+    return out;
+  }
+
+  // Quote lines for the rules that apply
+  function lines(admin, req, baseLines, ctx={}){
+    const out = [];
+    evaluate(admin, req, baseLines).filter(e => e.applies).forEach(e=>{
+      if (e.kind === 'rush'){
+        e.parts.forEach(p => out.push(MRI.quote.line({ id:`rush-${p.vatKey}${p.taxable ? '' : '-exempt'}`, kind:'fee', label:`${e.label} · ${p.vatKey}${p.taxable ? '' : ' (VAT exempt)'}`, vatKey:p.vatKey, qty:1, unitPrice:p.amountExVAT, amount:p.amountExVAT, taxable:p.taxable, note:e.reason })));
+      } else if (e.kind === 'storage'){
+        const days = num(req.storageDays);
+        out.push(MRI.quote.line({ id:'storage', kind:'fee', label:e.label, vatKey:'services', qty:days, unit:'day', unitPrice:num(admin.fees.storageFeeExVAT), note:e.reason }));
+      } else {
+        out.push(MRI.quote.line({ id:e.kind, kind:'fee', label:e.label, vatKey:'room', qty:1, unit:'booking', unitPrice:e.amountExVAT, amount:e.amountExVAT, note:e.reason }));
+      }
+    });
+    return out;
+  }
+
+  // Upfront deposit on a quote total, or null when depositPct is not set
+  function deposit(admin, total){
+    const pct = num(((admin && admin.fees) || {}).depositPct);
+    if (pct <= 0) return null;
+    const amount = cents(num(total) * pct / 100);
+    return { pct, amount, balance:cents(num(total) - amount) };
+  }
+
+  MRI.fees = { KINDS, standardRanges, outOfHours, rush, flip, evaluate, lines, deposit };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,72 @@
+/* ---- MRI format: venue-level money and date display ----
+   venue = { locale:'en-IE', timezone:'Europe/Dublin', dateFormat:'dd/mm/yyyy' }
+   plus pricing.currency. Every page formats through here so a UK or German
+   property only changes settings, not code:
+     money(admin, 45)           → '€45.00' / '£45.00' / '45,00 €'
+     date(admin, iso)           → '26/10/2026' in the venue timezone
+     dateTime(admin, iso)       → '26/10/2026 14:30'
+     dateTime(admin, iso, tz)   → same, in a room's own timezone
+   Missing or invalid settings fall back to DEFAULTS. This is display only:
+   date and time inputs stay native pickers holding ISO values, which the
+   browser shows in its own locale.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const T = MRI.tz;
+
+  const DEFAULTS = { locale:'en-IE', timezone:'Europe/Dublin', dateFormat:'dd/mm/yyyy', currency:'EUR' };
+  const DATE_FORMATS = ['dd/mm/yyyy', 'dd.mm.yyyy', 'dd-mm-yyyy', 'mm/dd/yyyy', 'yyyy-mm-dd'];
+  const LOCALES = ['en-IE', 'ga-IE', 'en-GB', 'de-DE', 'de-AT', 'fr-FR', 'en-US'];
+  // One-click venue settings for the markets we sell to
+  const PRESETS = {
+    Ireland: { locale:'en-IE', timezone:'Europe/Dublin', dateFormat:'dd/mm/yyyy', currency:'EUR' },
+    'United Kingdom': { locale:'en-GB', timezone:'Europe/London', dateFormat:'dd/mm/yyyy', currency:'GBP' },
+    Germany: { locale:'de-DE', timezone:'Europe/Berlin', dateFormat:'dd.mm.yyyy', currency:'EUR' },
+  };
+
+  function validLocale(l){
+    try { return !!l && Intl.NumberFormat.supportedLocalesOf([l]).length > 0; } catch(e){ return false; }
+  }
+  function settings(admin){
+    const v = (admin && admin.venue) || {};
+    const cur = admin && admin.pricing && admin.pricing.currency;
+    return {
+      locale: validLocale(v.locale) ? v.locale : DEFAULTS.locale,
+      timezone: v.timezone && T.isValidZone(v.timezone) ? v.timezone : DEFAULTS.timezone,
+      dateFormat: DATE_FORMATS.includes(v.dateFormat) ? v.dateFormat : DEFAULTS.dateFormat,
+      currency: /^[A-Z]{3}$/.test(cur || '') ? cur : DEFAULTS.currency,
+    };
+  }
+
+  const numCache = {};
+  function money(admin, v){
+    const n = Number(v);
+    if (v === null || v === undefined || v === '' || !Number.isFinite(n)) return '—';
+    const s = settings(admin);
+    const key = `${s.locale}|${s.currency}`;
+    numCache[key] = numCache[key] || new Intl.NumberFormat(s.locale, { style:'currency', currency:s.currency });
+    return numCache[key].format(n);
+  }
+
+  const toDate = d => d instanceof Date ? d : new Date(d);
+  function ymdText(admin, ymd){
+    const [y, m, d] = String(ymd).split('-');
+    return settings(admin).dateFormat.replace('yyyy', y).replace('mm', m).replace('dd', d);
+  }
+  // tz defaults to the venue's
+  function date(admin, d, tz){
+    const x = toDate(d);
+    if (!d || isNaN(x)) return '—';
+    return ymdText(admin, T.ymdInZone(x, tz || settings(admin).timezone));
+  }
+  function time(admin, d, tz){
+    const x = toDate(d);
+    return !d || isNaN(x) ? '—' : T.hmInZone(x, tz || settings(admin).timezone);
+  }
+  function dateTime(admin, d, tz){
+    const x = toDate(d);
+    return !d || isNaN(x) ? '—' : `${date(admin, x, tz)} ${time(admin, x, tz)}`;
+  }
+
+  MRI.format = { DEFAULTS, DATE_FORMATS, LOCALES, PRESETS, settings, money, ymdText, date, time, dateTime };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,59 @@
+/* ---- MRI holidays: public-holiday presets for dated exceptions ----
+   A preset turns a year into [{ date:'YYYY-MM-DD', label }] ready to add
+   as closed exceptions (calendars[roomId].exceptions or venue.exceptions).
+   IE follows the Organisation of Working Time Act: St Brigid's Day is the
+   first Monday in February, or 1 February when that is a Friday; fixed
+   dates that fall on a weekend add the next free weekday as a substitute.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const T = MRI.tz;
+
+  const ymd = (y, m, d) => `${y}-${T.pad(m)}-${T.pad(d)}`;
+  const dayOf = s => T.dayKeyOfYmd(s);
+
+  // Easter Sunday (Gregorian, anonymous algorithm)
+  function easter(y){
+    const a = y % 19, b = Math.floor(y / 100), c = y % 100, d = Math.floor(b / 4), e = b % 4;
+    const f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+    const h = (19*a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+    const l = (32 + 2*e + 2*i - h - k) % 7, m = Math.floor((a + 11*h + 22*l) / 451);
+    const month = Math.floor((h + l - 7*m + 114) / 31), day = ((h + l - 7*m + 114) % 31) + 1;
+    return ymd(y, month, day);
+  }
+  // n-th (1-based; -1 = last) weekday `key` of a month
+  function nthWeekday(y, m, key, n){
+    const days = [];
+    for (let d = 1; d <= new Date(Date.UTC(y, m, 0)).getUTCDate(); d++) if (dayOf(ymd(y, m, d)) === key) days.push(ymd(y, m, d));
+    return n > 0 ? days[n-1] : days[days.length + n];
+  }
+
+  function ireland(y){
+    const out = [
+      { date:ymd(y, 1, 1), label:"New Year's Day", fixed:true },
+      { date:dayOf(ymd(y, 2, 1)) === 'FR' ? ymd(y, 2, 1) : nthWeekday(y, 2, 'MO', 1), label:"St Brigid's Day" },
+      { date:ymd(y, 3, 17), label:"St Patrick's Day", fixed:true },
+      { date:T.addDaysYmd(easter(y), 1), label:'Easter Monday' },
+      { date:nthWeekday(y, 5, 'MO', 1), label:'May Bank Holiday' },
+      { date:nthWeekday(y, 6, 'MO', 1), label:'June Bank Holiday' },
+      { date:nthWeekday(y, 8, 'MO', 1), label:'August Bank Holiday' },
+      { date:nthWeekday(y, 10, 'MO', -1), label:'October Bank Holiday' },
+      { date:ymd(y, 12, 25), label:'Christmas Day', fixed:true },
+      { date:ymd(y, 12, 26), label:"St Stephen's Day", fixed:true },
+    ];
+    const taken = new Set(out.map(h => h.date));
+    out.filter(h => h.fixed && ['SA', 'SU'].includes(dayOf(h.date))).forEach(h=>{
+      let d = h.date;
+      do d = T.addDaysYmd(d, 1); while (['SA', 'SU'].includes(dayOf(d)) || taken.has(d));
+      taken.add(d);
+      out.push({ date:d, label:`${h.label} (substitute)` });
+    });
+    return out.map(({ date, label }) => ({ date, label })).sort((a, b)=> a.date < b.date ? -1 : 1);
+  }
+
+  const PRESETS = {
+    IE: { label:'Irish public holidays', dates:ireland },
+  };
+
+  MRI.holidays = { PRESETS, easter, nthWeekday, ireland };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,111 @@
+/* ---- MRI i18n: guest-facing copy in several locales ----
+   The default-locale text stays where it always was (copy.*, items'
+   publicLabel, rooms' description), so readers that ignore i18n keep
+   working. Other locales live beside it:
+     i18n = { defaultLocale:'en', locales:['en','ga','fr','de'],
+              strings:{ ga:{ 'copy:closingTitle':'…',
+                             'item:ITM-1:publicLabel':'…',
+                             'room:RM-101:description':'…' } } }
+   Keys use ids, not array positions, so reordering rooms or items keeps
+   their translations; renameKeys() moves them when an id changes. An
+   empty or missing translation falls back to the default text string by
+   string.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const C = MRI.core;
+
+  const LOCALES = [
+    { code:'en', label:'English' },
+    { code:'ga', label:'Gaeilge' },
+    { code:'fr', label:'Français' },
+    { code:'de', label:'Deutsch' },
+  ];
+  const CODES = LOCALES.map(l => l.code);
+
+  function settings(admin){
+    const i = (admin && admin.i18n) || {};
+    const defaultLocale = CODES.includes(i.defaultLocale) ? i.defaultLocale : 'en';
+    const locales = (Array.isArray(i.locales) ? i.locales : CODES).filter(l => CODES.includes(l));
+    return { defaultLocale, locales: locales.includes(defaultLocale) ? locales : [defaultLocale, ...locales] };
+  }
+
+  // Every guest-facing string: [{ key, path, group, label, text }] where
+  // path is the default text's location in admin-data.json
+  function strings(admin){
+    const out = [];
+    const copy = (admin && admin.copy) || {};
+    Object.keys(copy).filter(k => typeof copy[k] === 'string').forEach(k=>{
+      out.push({ key:`copy:${k}`, path:`copy.${k}`, group:'Booker copy', label:C.humanize(k), text:copy[k] });
+    });
+    (admin && Array.isArray(admin.categories) ? admin.categories : []).forEach((cat, ci)=>{
+      (cat.items||[]).forEach((item, ii)=>{
+        if (!item.id || item.visibility === 'hidden' || item.visibility === 'internal') return;
+        out.push({ key:`item:${item.id}:publicLabel`, path:`categories.${ci}.items.${ii}.publicLabel`, group:cat.sectionLabel || cat.name || cat.id, label:item.name || item.id, text:item.publicLabel || '' });
+      });
+    });
+    const rooms = admin && admin.rooms;
+    C.roomsOf(admin).forEach((room, ri)=>{
+      const key = Array.isArray(rooms) ? ri : room.id;
+      out.push({ key:`room:${room.id}:description`, path:`rooms.${key}.description`, group:'Rooms', label:C.roomLabel(room), text:room.description || '' });
+    });
+    return out;
+  }
+
+  function translation(admin, locale, key){
+    const s = admin && admin.i18n && admin.i18n.strings && admin.i18n.strings[locale];
+    return s && typeof s[key] === 'string' ? s[key] : '';
+  }
+
+  // { text, locale, fallback } — locale is where the text actually came from
+  function t(admin, key, locale){
+    const { defaultLocale } = settings(admin);
+    const entry = strings(admin).find(s => s.key === key);
+    const fallbackText = entry ? entry.text : '';
+    if (!locale || locale === defaultLocale) return { text:fallbackText, locale:defaultLocale, fallback:false };
+    const own = translation(admin, locale, key);
+    return own.trim() ? { text:own, locale, fallback:false } : { text:fallbackText, locale:defaultLocale, fallback:true };
+  }
+  const text = (admin, key, locale) => t(admin, key, locale).text;
+
+  // [{ locale, key, path, group, label }] for enabled non-default locales
+  // where the default text exists but no translation does
+  function missing(admin){
+    const { defaultLocale, locales } = settings(admin);
+    const list = strings(admin).filter(s => String(s.text).trim());
+    const out = [];
+    locales.filter(l => l !== defaultLocale).forEach(locale=>{
+      list.forEach(s=>{ if (!translation(admin, locale, s.key).trim()) out.push({ locale, ...s }); });
+    });
+    return out;
+  }
+
+  // Moves every locale's translations from kind:oldId:… to kind:newId:…
+  // when a room or item id changes (MUTATES admin.i18n); returns the count
+  function renameKeys(admin, kind, oldId, newId){
+    const all = admin && admin.i18n && admin.i18n.strings;
+    if (!all || oldId === newId) return 0;
+    const from = `${kind}:${oldId}:`;
+    let n = 0;
+    Object.values(all).forEach(s=>{
+      if (!s || typeof s !== 'object') return;
+      Object.keys(s).filter(k => k.startsWith(from)).forEach(k=>{
+        s[`${kind}:${newId}:${k.slice(from.length)}`] = s[k];
+        delete s[k];
+        n++;
+      });
+    });
+    return n;
+  }
+
+  // Booker locale: ?lang= / ?locale= first, then the browser's languages,
+  // then the venue default. Only enabled locales are ever returned.
+  function pick(admin, search='', languages=[]){
+    const { defaultLocale, locales } = settings(admin);
+    const params = new URLSearchParams(search);
+    const wanted = [params.get('lang'), params.get('locale'), ...languages].filter(Boolean).map(x => String(x).toLowerCase().split(/[-_]/)[0]);
+    return wanted.find(l => locales.includes(l)) || defaultLocale;
+  }
+
+  MRI.i18n = { LOCALES, settings, strings, translation, t, text, missing, renameKeys, pick };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,319 @@
+/* ---- MRI ics: iCalendar (RFC 5545) export and import per room ----
+   exportRoom(admin, roomId) → .ics text with the room's BLACKOUT, BOOKING
+   and HOLD events. Times are written as local time with TZID = the
+   calendar's timezone plus a generated VTIMEZONE (the zone's actual
+   transitions for the years the events span), so Outlook and Google show
+   them at the same wall-clock time. UID is the event id; recurrence is
+   written as RRULE/EXDATE.
+   parse(text, tz) reads VEVENTs back into our event shape. TZID may be an
+   IANA name or a common Windows name; floating and all-day times are read
+   in the room's timezone. plan(events, incoming) pairs them with the
+   room's events by UID = id: new, changed or duplicate (identical).
+   merge() applies a plan. Neither parse() nor plan() touches admin data.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const T = MRI.tz;
+
+  const EXPORT_TYPES = ['BLACKOUT', 'BOOKING', 'HOLD'];
+  const PRODID = '-//Meeting-Room-Inputs//Admin portal//EN';
+  // Windows zone names Outlook/Exchange put in TZID
+  const WINDOWS_ZONES = {
+    'GMT Standard Time':'Europe/London', 'Greenwich Standard Time':'Atlantic/Reykjavik', 'UTC':'UTC',
+    'W. Europe Standard Time':'Europe/Berlin', 'Romance Standard Time':'Europe/Paris',
+    'Central Europe Standard Time':'Europe/Budapest', 'Central European Standard Time':'Europe/Warsaw',
+    'E. Europe Standard Time':'Europe/Chisinau', 'GTB Standard Time':'Europe/Bucharest', 'FLE Standard Time':'Europe/Kiev',
+    'Eastern Standard Time':'America/New_York', 'Central Standard Time':'America/Chicago',
+    'Mountain Standard Time':'America/Denver', 'Pacific Standard Time':'America/Los_Angeles',
+  };
+  const FIELDS = ['type', 'title', 'startAt', 'endAt', 'status', 'layout', 'recurrence'];
+
+  // ---- writing ----
+  const esc = s => String(s ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  // Lines longer than 75 octets continue on the next line after a space
+  function fold(line){
+    const out = [];
+    let cur = '', bytes = 0;
+    for (const ch of line){
+      const c = ch.codePointAt(0), n = c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4;   // UTF-8 octets
+      if (bytes + n > (out.length ? 74 : 75)){ out.push(cur); cur = ''; bytes = 0; }
+      cur += ch; bytes += n;
+    }
+    out.push(cur);
+    return out.join('\r\n ');
+  }
+  const basic = (ymd, hm='00:00', s='00') => `${ymd.replace(/-/g, '')}T${hm.replace(':', '')}${s}`;
+  const utcStamp = d => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const localStamp = (d, tz) => basic(T.ymdInZone(d, tz), T.hmInZone(d, tz), T.pad(T.partsInZone(d, tz).second));
+  const offsetText = mins => `${mins < 0 ? '-' : '+'}${T.pad(Math.floor(Math.abs(mins) / 60))}${T.pad(Math.abs(mins) % 60)}`;
+
+  // Offset changes during one year: [{ at:Date, from, to }] (minutes)
+  function transitions(tz, year){
+    const out = [];
+    let prev = new Date(Date.UTC(year, 0, 1, 12)), prevOff = T.offsetMins(prev, tz);
+    for (let d = 1; d <= 366; d++){
+      const day = new Date(Date.UTC(year, 0, 1 + d, 12));
+      const off = T.offsetMins(day, tz);
+      if (off !== prevOff){
+        let lo = prev.getTime(), hi = day.getTime();
+        while (hi - lo > 60000){
+          const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+          if (T.offsetMins(new Date(mid), tz) === prevOff) lo = mid; else hi = mid;
+        }
+        out.push({ at:new Date(hi), from:prevOff, to:off });
+      }
+      prev = day; prevOff = off;
+    }
+    return out;
+  }
+
+  // VTIMEZONE covering fromYear..toYear with one observance per transition
+  function vtimezone(tz, fromYear, toYear){
+    const start = new Date(Date.UTC(fromYear, 0, 1));
+    const first = T.offsetMins(start, tz);
+    const all = [];
+    for (let y = fromYear; y <= toYear; y++) all.push(...transitions(tz, y));
+    const lowest = Math.min(first, ...all.map(t => t.to));
+    const block = (kind, dtstart, from, to) => [`BEGIN:${kind}`, `DTSTART:${dtstart}`, `TZOFFSETFROM:${offsetText(from)}`, `TZOFFSETTO:${offsetText(to)}`, `END:${kind}`];
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+    lines.push(...block(first > lowest ? 'DAYLIGHT' : 'STANDARD', basic(`${fromYear}-01-01`), first, first));
+    all.forEach(t=>{
+      const wall = new Date(t.at.getTime() + t.from * 60000);
+      lines.push(...block(t.to > lowest ? 'DAYLIGHT' : 'STANDARD', utcStamp(wall).replace('Z', ''), t.from, t.to));
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  function rruleOf(rec, tz, hm){
+    const r = MRI.recurrence.normalize(rec);
+    if (!r) return null;
+    const parts = [`FREQ=${r.freq}`];
+    if (r.interval > 1) parts.push(`INTERVAL=${r.interval}`);
+    if (r.byDay.length) parts.push(`BYDAY=${r.byDay.join(',')}`);
+    if (r.byMonthDay.length) parts.push(`BYMONTHDAY=${r.byMonthDay.join(',')}`);
+    // UNTIL must be UTC when DTSTART has a TZID: the last second of the until day
+    if (r.until) parts.push(`UNTIL=${utcStamp(new Date(T.localToDate(T.addDaysYmd(r.until, 1), '00:00', tz).getTime() - 1000))}`);
+    if (r.count) parts.push(`COUNT=${r.count}`);
+    return { rule:parts.join(';'), exdates:r.exdates.map(d => basic(d, hm)) };
+  }
+
+  function statusOf(ev){
+    if (/cancel/i.test(ev.status || '')) return 'CANCELLED';
+    return String(ev.type || '').toUpperCase() === 'HOLD' || /tentative|hold/i.test(ev.status || '') ? 'TENTATIVE' : 'CONFIRMED';
+  }
+
+  function exportRoom(admin, roomId, opts={}){
+    const cal = MRI.availability.calendarOf(admin, roomId);
+    const tz = cal.timezone;
+    const room = MRI.core.findRoom(admin, roomId);
+    const now = opts.now || new Date();
+    const events = cal.events.filter(ev => EXPORT_TYPES.includes(String(ev.type || '').toUpperCase()))
+      .filter(ev => !isNaN(new Date(ev.startAt)) && !isNaN(new Date(ev.endAt)));
+    const years = events.flatMap(ev=>{
+      const r = MRI.recurrence.normalize(ev.recurrence);
+      const y0 = new Date(ev.startAt).getUTCFullYear();
+      return [y0, r ? (r.until ? Number(r.until.slice(0, 4)) : now.getUTCFullYear() + 2) : new Date(ev.endAt).getUTCFullYear()];
+    });
+    const fromYear = Math.min(now.getUTCFullYear(), ...years), toYear = Math.min(fromYear + 30, Math.max(now.getUTCFullYear(), ...years));
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+      `X-WR-CALNAME:${esc(room ? MRI.core.roomLabel(room) : roomId)}`, `X-WR-TIMEZONE:${tz}`, ...vtimezone(tz, fromYear, toYear)];
+    events.forEach((ev, i)=>{
+      const start = new Date(ev.startAt), end = new Date(ev.endAt);
+      lines.push('BEGIN:VEVENT',
+        `UID:${esc(ev.id || `${roomId}-${i + 1}`)}`,
+        `DTSTAMP:${utcStamp(ev.createdAt && !isNaN(new Date(ev.createdAt)) ? new Date(ev.createdAt) : now)}`,
+        `DTSTART;TZID=${tz}:${localStamp(start, tz)}`,
+        `DTEND;TZID=${tz}:${localStamp(end, tz)}`,
+        `SUMMARY:${esc(ev.title || MRI.core.humanize(String(ev.type).toLowerCase()))}`,
+        `CATEGORIES:${String(ev.type).toUpperCase()}`,
+        `STATUS:${statusOf(ev)}`,
+        'TRANSP:OPAQUE',
+        `X-MRI-TYPE:${String(ev.type).toUpperCase()}`);
+      if (ev.status) lines.push(`X-MRI-STATUS:${esc(ev.status)}`);
+      if (ev.layout) lines.push(`X-MRI-LAYOUT:${esc(ev.layout)}`);
+      const rr = rruleOf(ev.recurrence, tz, T.hmInZone(start, tz));
+      if (rr){
+        lines.push(`RRULE:${rr.rule}`);
+        if (rr.exdates.length) lines.push(`EXDATE;TZID=${tz}:${rr.exdates.join(',')}`);
+      }
+      lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+  }
+
+  // ---- reading ----
+  const unesc = s => String(s).replace(/\\n/gi, '\n').replace(/\\([\\;,])/g, '$1');
+
+  // Unfolded content lines → [{ name, params:{}, value }]
+  function contentLines(text){
+    return String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(l => l.trim()).map(line=>{
+      let i = 0, inQuote = false;
+      for (; i < line.length; i++){
+        if (line[i] === '"') inQuote = !inQuote;
+        else if (line[i] === ':' && !inQuote) break;
+      }
+      const [name, ...params] = line.slice(0, i).split(';');
+      const p = {};
+      params.forEach(x=>{ const j = x.indexOf('='); if (j > 0) p[x.slice(0, j).toUpperCase()] = x.slice(j + 1).replace(/^"|"$/g, ''); });
+      return { name:name.toUpperCase(), params:p, value:line.slice(i + 1) };
+    });
+  }
+
+  function zoneOf(tzid, fallback, warn){
+    if (!tzid) return fallback;
+    if (T.isValidZone(tzid)) return tzid;
+    if (WINDOWS_ZONES[tzid]) return WINDOWS_ZONES[tzid];
+    const tail = /([A-Za-z_]+\/[A-Za-z_]+)$/.exec(tzid);     // e.g. /mozilla.org/…/Europe/Dublin
+    if (tail && T.isValidZone(tail[1])) return tail[1];
+    warn(`Unknown TZID “${tzid}” — read as ${fallback}`);
+    return fallback;
+  }
+
+  // One DATE / DATE-TIME value → { date:Date, allDay, ymd }
+  function timeOf(prop, tz, warn){
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(prop.value).trim());
+    if (!m) return null;
+    const ymd = `${m[1]}-${m[2]}-${m[3]}`;
+    if (!m[4]) return { date:T.localToDate(ymd, '00:00', tz), allDay:true, ymd };
+    if (m[7]) return { date:new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0))), allDay:false };
+    const zone = zoneOf(prop.params.TZID, tz, warn);
+    return { date:T.localToDate(ymd, `${m[4]}:${m[5]}`, zone), allDay:false };
+  }
+
+  function durationMs(s){
+    const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(s || '').trim());
+    if (!m) return null;
+    const ms = (((+m[2] || 0) * 7 + (+m[3] || 0)) * 86400 + (+m[4] || 0) * 3600 + (+m[5] || 0) * 60 + (+m[6] || 0)) * 1000;
+    return m[1] === '-' ? -ms : ms;
+  }
+
+  // RRULE value → event.recurrence, or a reason it cannot be kept
+  function recurrenceOf(value, tz){
+    const p = {};
+    String(value).split(';').forEach(x=>{ const [k, v] = x.split('='); if (k) p[k.toUpperCase()] = v; });
+    if (!MRI.recurrence.FREQS.includes(p.FREQ)) return { error:`repeat FREQ=${p.FREQ} is not supported — only the first occurrence was imported` };
+    if (p.BYSETPOS || p.BYMONTH || p.BYYEARDAY || p.BYWEEKNO || p.BYHOUR) return { error:'repeat uses rule parts we do not support — only the first occurrence was imported' };
+    const r = { freq:p.FREQ, interval:Math.max(1, Number(p.INTERVAL) || 1) };
+    if (p.BYDAY) r.byDay = p.BYDAY.split(',').map(d => d.replace(/^\+/, ''));
+    if (p.BYMONTHDAY) r.byMonthDay = p.BYMONTHDAY.split(',').map(Number);
+    if (p.COUNT) r.count = Number(p.COUNT);
+    if (p.UNTIL){
+      const u = timeOf({ value:p.UNTIL, params:{} }, tz, ()=>{});
+      // inclusive: the local date of the last start it allows
+      if (u) r.until = u.allDay ? u.ymd : T.ymdInZone(u.date, tz);
+    }
+    return { recurrence:r };
+  }
+
+  function typeOf(props, defaultType){
+    const x = (props['X-MRI-TYPE'] || [])[0];
+    if (x && EXPORT_TYPES.concat('NOTE').includes(x.value.toUpperCase())) return x.value.toUpperCase();
+    const cats = (props.CATEGORIES || []).flatMap(c => c.value.split(',')).map(c => c.trim().toUpperCase());
+    return EXPORT_TYPES.find(t => cats.includes(t)) || defaultType;
+  }
+
+  // → { name, events:[event], warnings:[string] }. opts.roomId, opts.defaultType
+  // ('BLACKOUT' unless given) for events with no X-MRI-TYPE/CATEGORIES.
+  function parse(text, tz, opts={}){
+    const warnings = [];
+    const lines = contentLines(text);
+    if (!lines.length || lines[0].name !== 'BEGIN' || lines[0].value.toUpperCase() !== 'VCALENDAR') return { name:'', events:[], warnings:['Not an iCalendar file (no BEGIN:VCALENDAR)'] };
+    const nameLine = lines.find(l => l.name === 'X-WR-CALNAME');
+    const blocks = [];
+    let cur = null, depth = 0;
+    lines.forEach(l=>{
+      if (l.name === 'BEGIN' && l.value.toUpperCase() === 'VEVENT'){ cur = {}; depth = 0; return; }
+      if (!cur) return;
+      if (l.name === 'BEGIN'){ depth++; return; }                 // VALARM etc.
+      if (l.name === 'END' && depth){ depth--; return; }
+      if (l.name === 'END' && l.value.toUpperCase() === 'VEVENT'){ blocks.push(cur); cur = null; return; }
+      if (!depth) (cur[l.name] = cur[l.name] || []).push(l);
+    });
+
+    const events = [], overrides = [];
+    blocks.forEach((props, i)=>{
+      const one = k => (props[k] || [])[0];
+      const uid = one('UID') ? unesc(one('UID').value) : '';
+      const label = `“${one('SUMMARY') ? unesc(one('SUMMARY').value) : uid || `event ${i + 1}`}”`;
+      const warn = m => warnings.push(`${label}: ${m}`);
+      if (one('RECURRENCE-ID')){ overrides.push({ uid, props, warn }); return; }
+      const start = one('DTSTART') && timeOf(one('DTSTART'), tz, warn);
+      if (!start){ warn('no valid DTSTART — skipped'); return; }
+      let end = one('DTEND') && timeOf(one('DTEND'), tz, warn);
+      if (!end && one('DURATION')){ const ms = durationMs(one('DURATION').value); if (ms !== null) end = { date:new Date(start.date.getTime() + ms) }; }
+      if (!end && start.allDay) end = { date:T.localToDate(T.addDaysYmd(start.ymd, 1), '00:00', tz) };
+      if (!end || !(end.date > start.date)){ warn('no end after the start — skipped'); return; }
+      const status = one('STATUS') ? one('STATUS').value.toUpperCase() : '';
+      const ev = {
+        id: uid || `ICS-${Date.now()}-${i + 1}`,
+        roomId: opts.roomId,
+        type: typeOf(props, opts.defaultType || 'BLACKOUT'),
+        title: one('SUMMARY') ? unesc(one('SUMMARY').value) : '',
+        startAt: start.date.toISOString(),
+        endAt: end.date.toISOString(),
+      };
+      // Only a status the file states; none stays none, as in our own data
+      if (one('X-MRI-STATUS')) ev.status = unesc(one('X-MRI-STATUS').value);
+      else if (status) ev.status = status === 'CANCELLED' ? 'Cancelled' : status === 'TENTATIVE' ? 'Tentative' : 'Confirmed';
+      if (!uid) warn('no UID — imported under a new id, so it cannot be matched on a later import');
+      if (one('X-MRI-LAYOUT')) ev.layout = unesc(one('X-MRI-LAYOUT').value);
+      if (one('RRULE')){
+        const r = recurrenceOf(one('RRULE').value, tz);
+        if (r.error) warn(r.error);
+        else {
+          ev.recurrence = r.recurrence;
+          const ex = (props.EXDATE || []).flatMap(p => p.value.split(',').map(v => timeOf({ value:v, params:p.params }, tz, warn))).filter(Boolean);
+          if (ex.length) ev.recurrence.exdates = [...new Set(ex.map(x => x.allDay ? x.ymd : T.ymdInZone(x.date, tz)))].sort();
+        }
+      }
+      events.push(ev);
+    });
+
+    // Moved or cancelled single occurrences: cancellations become exdates
+    overrides.forEach(({ uid, props, warn })=>{
+      const master = events.find(e => e.id === uid && e.recurrence);
+      const rid = timeOf(props['RECURRENCE-ID'][0], tz, warn);
+      const cancelled = props.STATUS && props.STATUS[0].value.toUpperCase() === 'CANCELLED';
+      if (master && rid && cancelled){
+        const ymd = rid.allDay ? rid.ymd : T.ymdInZone(rid.date, tz);
+        master.recurrence.exdates = [...new Set([...(master.recurrence.exdates || []), ymd])].sort();
+      } else warn('changed single occurrence of a repeating event is not supported — kept the series as is');
+    });
+    return { name:nameLine ? unesc(nameLine.value) : '', events, warnings };
+  }
+
+  // Pair incoming events with the room's by UID = id:
+  // [{ kind:'new'|'changed'|'duplicate', incoming, existing, changes:[field] }]
+  function plan(events, incoming){
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    return incoming.map(ev=>{
+      const existing = (events || []).find(x => x && x.id && x.id === ev.id);
+      if (!existing) return { kind:'new', incoming:ev, existing:null, changes:[] };
+      const R = MRI.recurrence.normalize;
+      const changes = FIELDS.filter(k => k in ev || k === 'recurrence').filter(k =>
+        k === 'startAt' || k === 'endAt' ? new Date(ev[k]).getTime() !== new Date(existing[k]).getTime()
+        : k === 'recurrence' ? !same(R(ev[k]), R(existing[k]))
+        // an event without a status exports the STATUS its type implies
+        : k === 'status' && existing.status == null ? statusOf(ev) !== statusOf(existing)
+        : !same(ev[k], existing[k]));
+      return { kind:changes.length ? 'changed' : 'duplicate', incoming:ev, existing, changes };
+    });
+  }
+
+  // Apply the chosen plan rows to `events` (MUTATES); returns counts
+  function merge(events, rows){
+    const n = { added:0, updated:0 };
+    rows.forEach(r=>{
+      if (r.kind === 'new'){ events.push({ ...r.incoming, createdAt:new Date().toISOString() }); n.added++; }
+      else if (r.kind === 'changed'){
+        r.changes.forEach(k=>{ if (r.incoming[k] === undefined) delete r.existing[k]; else r.existing[k] = r.incoming[k]; });
+        n.updated++;
+      }
+    });
+    return n;
+  }
+
+  MRI.ics = { EXPORT_TYPES, WINDOWS_ZONES, vtimezone, exportRoom, parse, plan, merge };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,132 @@
+/* ---- MRI labour: staff roles and staffing cost ----
+   labour.roles[] = { id, name, costPerHourExVAT, sellPerHourExVAT,
+                      minCallHours, outOfHoursMultiplier, weekendMultiplier }
+   labour.requirements[] = { id, roleId, on:'room'|'layout'|'item', target,
+                             staff, perAttendees?, preMins?, postMins? }
+     target is a room id, a layout type (req.layout) or an item id.
+     perAttendees > 0 means one staff member per N attendees (min `staff`).
+   labour.standardHours = { start, end, days:['MO'…] } — anything outside
+   is paid at the role's out-of-hours (or weekend) multiplier, in the
+   room's calendar timezone. Quote lines use the 'staff' VAT key.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const C = MRI.core;
+  const T = MRI.tz;
+  const { num, cents } = C;
+
+  const ROLE_PRESETS = [
+    { id:'ROLE-TECH', name:'Technician' },
+    { id:'ROLE-HOST', name:'Host' },
+    { id:'ROLE-SEC',  name:'Security' },
+    { id:'ROLE-WAIT', name:'Waiting staff' },
+  ];
+  const STANDARD = { start:'08:00', end:'18:00', days:['MO','TU','WE','TH','FR'] };
+  const SLICE_MINS = 15;
+
+  function labourOf(admin){ return (admin && admin.labour) || {}; }
+  function rolesOf(admin){ const l = labourOf(admin); return Array.isArray(l.roles) ? l.roles : []; }
+  function requirementsOf(admin){ const l = labourOf(admin); return Array.isArray(l.requirements) ? l.requirements : []; }
+  function findRole(admin, id){ return rolesOf(admin).find(r => r.id === id) || null; }
+  function standardHours(admin){
+    const s = labourOf(admin).standardHours || {};
+    return { start: s.start || STANDARD.start, end: s.end || STANDARD.end, days: Array.isArray(s.days) ? s.days : STANDARD.days };
+  }
+
+  // Item ids on the booking, including those that come inside a bundle
+  function itemIdsOf(admin, req){
+    const ids = (req.items||[]).map(x => x.id);
+    (req.bundles||[]).forEach(sel=>{
+      const b = MRI.bundles ? MRI.bundles.findBundle(admin, sel.id) : null;
+      if (b && b.active !== false) (b.components||[]).forEach(c => ids.push(c.itemId));
+    });
+    return ids;
+  }
+
+  // Requirements triggered by this booking → [{ requirement, role, reason }]
+  function needs(admin, req, warnings=[]){
+    const items = itemIdsOf(admin, req);
+    const out = [];
+    requirementsOf(admin).forEach(r=>{
+      const hit = r.on === 'room' ? r.target === req.roomId
+        : r.on === 'layout' ? !!req.layout && r.target === req.layout && (!r.roomId || r.roomId === req.roomId)
+        : r.on === 'item' ? items.includes(r.target) : false;
+      if (!hit) return;
+      const role = findRole(admin, r.roleId);
+      if (!role){ warnings.push(`Staffing rule ${r.id||''} uses unknown role ${r.roleId}`); return; }
+      const what = r.on === 'item' ? ((C.findItem(admin, r.target)||{}).item||{}).publicLabel || r.target
+        : r.on === 'room' ? C.roomLabel(C.findRoom(admin, r.target)) : `${r.target} layout`;
+      out.push({ requirement:r, role, reason:`required by ${what}` });
+    });
+    return out;
+  }
+
+  // Minutes of [start,end) in standard hours, out of hours and at weekends
+  function splitMinutes(admin, start, end, tz){
+    const std = standardHours(admin);
+    const from = T.hmToMins(std.start), to = T.hmToMins(std.end);
+    const out = { standard:0, outOfHours:0, weekend:0 };
+    for (let t = start.getTime(); t < end.getTime(); t += SLICE_MINS*60000){
+      const d = new Date(t);
+      const mins = Math.min(SLICE_MINS, (end.getTime() - t) / 60000);
+      const day = T.dayKeyOfYmd(T.ymdInZone(d, tz));
+      const hm = T.hmToMins(T.hmInZone(d, tz));
+      if (!std.days.includes(day)) out.weekend += mins;
+      else if (hm < from || hm >= to) out.outOfHours += mins;
+      else out.standard += mins;
+    }
+    return out;
+  }
+
+  // One shift per triggered requirement, costed and priced
+  function shifts(admin, req, warnings=[]){
+    const start = new Date(req.startAt), end = new Date(req.endAt);
+    if (isNaN(start) || isNaN(end) || end <= start) return [];
+    const tz = MRI.availability ? MRI.availability.calendarOf(admin, req.roomId).timezone : 'Europe/Dublin';
+    const attendees = Math.max(0, num(req.attendees));
+    return needs(admin, req, warnings).map(({ requirement:r, role, reason })=>{
+      const from = new Date(start.getTime() - num(r.preMins)*60000);
+      const to = new Date(end.getTime() + num(r.postMins)*60000);
+      const per = num(r.perAttendees);
+      const staff = Math.max(num(r.staff) || 1, per > 0 ? Math.ceil(attendees / per) : 0);
+      const split = splitMinutes(admin, from, to, tz);
+      const worked = (split.standard + split.outOfHours + split.weekend) / 60;
+      const minCall = num(role.minCallHours);
+      const billed = Math.max(worked, minCall);
+      // top-up to the minimum call is paid at the standard rate
+      const topUp = billed - worked;
+      const ooh = num(role.outOfHoursMultiplier) || 1, wk = num(role.weekendMultiplier) || ooh;
+      const weighted = split.standard/60 + topUp + split.outOfHours/60 * ooh + split.weekend/60 * wk;
+      return {
+        role, requirement:r, reason, staff, from, to, timezone:tz,
+        workedHours: worked, billedHours: billed, minCallApplied: topUp > 0,
+        outOfHoursHours: split.outOfHours/60, weekendHours: split.weekend/60,
+        cost: cents(weighted * num(role.costPerHourExVAT) * staff),
+        sell: cents(weighted * num(role.sellPerHourExVAT) * staff)
+      };
+    });
+  }
+
+  function lines(admin, req, ctx={}, warnings=[]){
+    return shifts(admin, req, warnings).map(s=>{
+      const hours = s.billedHours * s.staff;
+      const notes = [s.reason];
+      if (s.minCallApplied) notes.push(`min call ${num(s.role.minCallHours)}h`);
+      if (s.outOfHoursHours) notes.push(`${+s.outOfHoursHours.toFixed(2)}h out of hours ×${num(s.role.outOfHoursMultiplier)||1}`);
+      if (s.weekendHours) notes.push(`${+s.weekendHours.toFixed(2)}h weekend ×${num(s.role.weekendMultiplier)||num(s.role.outOfHoursMultiplier)||1}`);
+      return MRI.quote.line({ id:`${s.requirement.id||s.role.id}-staff`, kind:'staff', label:`${s.role.name} × ${s.staff}`, categoryId:null, vatKey:'staff',
+        qty:cents(hours), unit:'hour', unitPrice: hours ? s.sell / hours : 0, amount:s.sell, note:notes.join(' · ') });
+    });
+  }
+
+  // Ops view of one booking: who is needed, when, and what it costs us
+  function summary(admin, req){
+    const warnings = [];
+    const list = shifts(admin, req, warnings);
+    const cost = cents(list.reduce((s,x)=> s + x.cost, 0));
+    const sell = cents(list.reduce((s,x)=> s + x.sell, 0));
+    return { shifts:list, staffHours: list.reduce((s,x)=> s + x.billedHours * x.staff, 0), cost, sell, margin:cents(sell - cost), warnings };
+  }
+
+  MRI.labour = { ROLE_PRESETS, STANDARD, rolesOf, requirementsOf, findRole, standardHours, needs, splitMinutes, shifts, lines, summary };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,104 @@
+/* ---- MRI margins: cost vs sell from categories[].items[].costing ----
+   costing = { cogsPerPersonExVAT, wastagePct,            (consumables)
+               vendorCostPerHour, vendorCostPerDay,        (hired-in kit)
+               deliveryFeeExVAT, markupMode:'percent'|'margin',
+               markupPct, minSellExVAT }
+   Cost per unit = COGS grossed up for wastage; hired-in kit costs the
+   cheaper vendor rate for the booking plus delivery. Items without any
+   costing data are reported as such, never as 100% margin.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const C = MRI.core;
+  const { num, cents } = C;
+
+  function costingOf(item){ return (item && item.costing) || {}; }
+  function hasCosting(item){
+    const k = costingOf(item);
+    return ['cogsPerPersonExVAT','vendorCostPerHour','vendorCostPerDay','deliveryFeeExVAT'].some(f => num(k[f]) > 0);
+  }
+
+  // Vendor hire for `mins`: cheaper of hourly and daily, multi-day by the day
+  function vendorHire(k, mins){
+    const perHour = num(k.vendorCostPerHour), perDay = num(k.vendorCostPerDay);
+    const days = Math.max(1, Math.ceil(mins / 1440));
+    const byHour = perHour * Math.ceil(mins / 60 - 1e-9);
+    if (mins > 1440) return perDay > 0 ? perDay * days : byHour;
+    if (perDay > 0 && perHour > 0) return Math.min(perDay, byHour);
+    return perDay > 0 ? perDay : byHour;
+  }
+
+  // Our cost for `qty` units of an item on a booking lasting `mins`
+  function cost(item, qty, mins){
+    const k = costingOf(item);
+    const cogs = num(k.cogsPerPersonExVAT) * (1 + num(k.wastagePct) / 100);
+    const hire = num(k.vendorCostPerHour) || num(k.vendorCostPerDay) ? vendorHire(k, mins) : 0;
+    const units = item.pricingMode === 'hour_or_day' ? 1 : num(qty);
+    return cents(cogs * units + hire + num(k.deliveryFeeExVAT));
+  }
+
+  // Sell price from cost using the item's markup settings, never below minSellExVAT
+  function suggest(item, unitCost){
+    const k = costingOf(item);
+    const pct = num(k.markupPct);
+    let sell = k.markupMode === 'margin' ? (pct < 100 ? unitCost / (1 - pct / 100) : unitCost) : unitCost * (1 + pct / 100);
+    if (num(k.minSellExVAT) > sell) sell = num(k.minSellExVAT);
+    return cents(sell);
+  }
+
+  function marginPct(sell, costValue){ return sell > 0 ? (sell - costValue) / sell * 100 : null; }
+
+  // Cost, sell and margin for one item on a sample booking {attendees, mins}
+  function forItem(admin, item, sample){
+    const attendees = Math.max(0, num(sample.attendees));
+    const mins = num(sample.mins) || 60;
+    const qty = item.priceType === 'per_person' ? attendees : 1;
+    const l = MRI.quote.itemLine(admin, { id:item.id, qty }, attendees, mins, []) || { amountExVAT:0, unitPriceExVAT:0, vatKey:'room' };
+    const costed = hasCosting(item);
+    const c = costed ? cost(item, qty, mins) : null;
+    const hire = item.pricingMode === 'hour_or_day';
+    const unitCost = c === null ? null : hire ? c : (qty ? cents(c / qty) : 0);
+    const unitSell = hire ? l.amountExVAT : l.unitPriceExVAT;
+    const k = costingOf(item);
+    const flags = [];
+    if (!costed) flags.push('no costing');
+    if (costed && l.amountExVAT < c) flags.push('below cost');
+    if (num(k.minSellExVAT) > 0 && unitSell < num(k.minSellExVAT)) flags.push('below min sell');
+    return {
+      item, vatKey:l.vatKey, qty, unit: hire ? 'hire' : (item.unitName || (item.priceType === 'per_person' ? 'person' : 'item')),
+      unitSell, unitCost, sell:l.amountExVAT, cost:c,
+      margin: c === null ? null : cents(l.amountExVAT - c), marginPct: c === null ? null : marginPct(l.amountExVAT, c),
+      minSell: num(k.minSellExVAT) || null,
+      suggested: costed && (k.markupMode || num(k.markupPct) || num(k.minSellExVAT)) ? suggest(item, unitCost) : null,
+      flags
+    };
+  }
+
+  function report(admin, sample){
+    return C.itemsOf(admin).map(({ item, category }) => ({ category, ...forItem(admin, item, sample) }));
+  }
+
+  // Margin per line of a built quote; staff cost comes from labour.js
+  function forQuote(admin, req, q){
+    const mins = q.durationMins;
+    const staff = MRI.labour ? MRI.labour.shifts(admin, req) : [];
+    const rows = q.lines.map(l=>{
+      let c = null;
+      if (l.kind === 'item'){
+        const hit = C.findItem(admin, l.id);
+        if (hit && hasCosting(hit.item)) c = cost(hit.item, l.qty, mins);
+      } else if (l.kind === 'staff'){
+        const s = staff.find(x => `${x.requirement.id||x.role.id}-staff` === l.id);
+        if (s) c = s.cost;
+      }
+      return { line:l, cost:c, margin: c === null ? null : cents(l.amountExVAT - c), marginPct: c === null ? null : marginPct(l.amountExVAT, c) };
+    });
+    const costed = rows.filter(r => r.cost !== null);
+    const sell = cents(costed.reduce((s,r)=> s + r.line.amountExVAT, 0));
+    const costTotal = cents(costed.reduce((s,r)=> s + r.cost, 0));
+    return { rows, costedSell:sell, cost:costTotal, margin:cents(sell - costTotal), marginPct:marginPct(sell, costTotal),
+      uncosted:cents(rows.filter(r => r.cost === null).reduce((s,r)=> s + r.line.amountExVAT, 0)) };
+  }
+
+  MRI.margins = { costingOf, hasCosting, cost, suggest, forItem, report, forQuote };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,179 @@
+/* ---- MRI quote engine ----
+   MRI.quote.build(admin, req) → itemised ex-VAT lines, VAT per category,
+   service charge and a rounded gross total. Reads only:
+     rooms[].baseRates, categories[].items, pricing.vatDefaults,
+     pricing.serviceChargePct, pricing.rounding, pricing.roundingMode
+   req = { roomId, startAt, endAt (ISO), attendees, items:[{id, qty?}],
+           bundles?:[{id}], layout?, bookedAt?, nonProfit?, storageDays? }
+   Optional engines loaded alongside (bundles.js, labour.js, discounts.js …) add their
+   own lines; fees.js runs after discounts so surcharges are never discounted,
+   and adds the upfront deposit.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const C = MRI.core;
+  const { num, cents } = C;
+
+  function durationMins(req){
+    const s = new Date(req.startAt).getTime(), e = new Date(req.endAt).getTime();
+    return Number.isFinite(s) && Number.isFinite(e) && e > s ? Math.round((e - s) / 60000) : 0;
+  }
+
+  // Cheapest of hourly / half-day (≤4h) / day (≤24h); longer bookings pay per day.
+  function roomHire(room, mins){
+    const br = room.baseRates || {};
+    const perHour = num(br.perHourExVAT), perHalf = num(br.perHalfDayExVAT), perDay = num(br.perDayExVAT);
+    const hours = mins / 60;
+    const opts = [];
+    if (mins > 1440){
+      const days = Math.ceil(mins / 1440);
+      if (perDay > 0) opts.push({ basis:'day', qty:days, unit:'day', unitPrice:perDay });
+      else if (perHour > 0) opts.push({ basis:'hour', qty:hours, unit:'hour', unitPrice:perHour });
+    } else {
+      if (perHour > 0) opts.push({ basis:'hour', qty:hours, unit:'hour', unitPrice:perHour });
+      if (perHalf > 0 && hours <= 4) opts.push({ basis:'halfDay', qty:1, unit:'half day', unitPrice:perHalf });
+      if (perDay > 0) opts.push({ basis:'day', qty:1, unit:'day', unitPrice:perDay });
+    }
+    if (!opts.length) return null;
+    opts.forEach(o => { o.amount = cents(o.qty * o.unitPrice); });
+    return opts.sort((a,b)=> a.amount - b.amount)[0];
+  }
+
+  // hour_or_day items: day rate once hours reach dayCapHours, else the cheaper of the two.
+  function hourOrDayUnitPrice(item, mins){
+    const perHour = num(item.ratePerHourExVAT), perDay = num(item.ratePerDayExVAT);
+    let hours = mins / 60;
+    if (item.roundHoursUp) hours = Math.ceil(hours - 1e-9);
+    if (mins > 1440){
+      const days = Math.ceil(mins / 1440);
+      return { unitPrice: perDay > 0 ? perDay * days : perHour * hours, note: `${days} day(s)` };
+    }
+    const cap = num(item.dayCapHours);
+    if (perDay > 0 && cap > 0 && hours >= cap) return { unitPrice: perDay, note: `day rate (≥ ${cap}h)` };
+    const byHour = perHour * hours;
+    if (perDay > 0 && (perHour <= 0 || perDay < byHour)) return { unitPrice: perDay, note: 'day rate' };
+    return { unitPrice: byHour, note: `${hours}h × ${perHour}` };
+  }
+
+  // Positive lines summed per VAT key and taxable flag — a VAT-exempt line
+  // never shares a group (and so a tax treatment) with a taxable one:
+  // { 'room|taxable': { vatKey, taxable, amount } }
+  function baseGroups(lines){
+    const out = {};
+    lines.filter(l => l.amountExVAT > 0).forEach(l=>{
+      const taxable = l.taxable !== false;
+      const id = `${l.vatKey}|${taxable ? 'taxable' : 'exempt'}`;
+      out[id] = out[id] || { vatKey:l.vatKey, taxable, amount:0 };
+      out[id].amount += l.amountExVAT;
+    });
+    return out;
+  }
+
+  function line(o){
+    return {
+      id: o.id, label: o.label, kind: o.kind || 'item', categoryId: o.categoryId || null, vatKey: o.vatKey || 'room',
+      qty: o.qty, unit: o.unit || '', unitPriceExVAT: cents(o.unitPrice || 0),
+      amountExVAT: cents(o.amount !== undefined ? o.amount : (o.qty||0) * (o.unitPrice||0)),
+      taxable: o.taxable !== false, note: o.note || ''
+    };
+  }
+
+  function roomLines(admin, req, mins, out, warnings){
+    const room = C.findRoom(admin, req.roomId);
+    if (!room){ warnings.push(`Unknown room ${req.roomId||'(none)'}`); return; }
+    const br = room.baseRates || {};
+    const minMins = num(br.minDurationMins);
+    const billMins = Math.max(mins, minMins);
+    if (minMins && mins < minMins) warnings.push(`Minimum duration for ${C.roomLabel(room)} is ${minMins} mins — billed as ${minMins}`);
+    const hire = roomHire(room, billMins);
+    if (!hire) warnings.push(`${C.roomLabel(room)} has no base rate set (perHour/perHalfDay/perDay are all 0)`);
+    out.push(line({
+      id: room.id, kind:'room', label: `Room hire — ${C.roomLabel(room)}`, categoryId: room.categoryId || 'CAT-ROOM', vatKey:'room',
+      qty: hire ? cents(hire.qty) : 0, unit: hire ? hire.unit : '', unitPrice: hire ? hire.unitPrice : 0,
+      amount: hire ? hire.amount : 0, note: hire ? `best rate: ${hire.basis}` : 'no rate'
+    }));
+    if (num(br.setupFeeExVAT) > 0){
+      out.push(line({ id: room.id+'-setup', kind:'room', label:'Setup fee', categoryId: room.categoryId || 'CAT-ROOM', vatKey:'room', qty:1, unit:'booking', unitPrice: num(br.setupFeeExVAT) }));
+    }
+  }
+
+  // One selected item → quote line (null when the id is unknown)
+  function itemLine(admin, sel, attendees, mins, warnings){
+    const hit = C.findItem(admin, sel.id);
+    if (!hit){ warnings.push(`Unknown item ${sel.id}`); return null; }
+    const { item, category } = hit;
+    const vatKey = C.vatKeyForCategory(category);
+    const label = item.publicLabel || item.name || item.id;
+    const perPerson = item.priceType === 'per_person';
+    let qty = sel.qty !== undefined && sel.qty !== '' ? num(sel.qty) : (perPerson ? attendees : 1);
+    const minQ = num(item.minQty), maxQ = num(item.maxQty);
+    if (minQ > 0 && qty < minQ){ warnings.push(`${label}: quantity raised to minimum ${minQ}`); qty = minQ; }
+    if (maxQ > 0 && qty > maxQ){ warnings.push(`${label}: quantity capped at maximum ${maxQ}`); qty = maxQ; }
+    const base = { id:item.id, label, categoryId:category.id, vatKey, qty, taxable:item.taxable };
+    if (item.inclusive) return line({ ...base, unit:item.unitName||'', unitPrice:0, amount:0, note:'Included' });
+    if (item.pricingMode === 'hour_or_day'){
+      const p = hourOrDayUnitPrice(item, mins);
+      return line({ ...base, unit:'hire', unitPrice:p.unitPrice, note:p.note });
+    }
+    return line({ ...base, unit:item.unitName || (perPerson ? 'person' : 'item'), unitPrice:num(item.priceExVAT) });
+  }
+
+  function itemLines(admin, req, mins, out, warnings){
+    const attendees = Math.max(0, num(req.attendees));
+    (req.items||[]).forEach(sel=>{
+      const l = itemLine(admin, sel, attendees, mins, warnings);
+      if (l) out.push(l);
+    });
+  }
+
+  // Group lines by VAT key; service charge is spread pro-rata so it follows
+  // the VAT treatment of the supply it is charged on.
+  function totals(admin, lines){
+    const pricing = admin.pricing || {};
+    const subtotal = cents(lines.reduce((s,l)=> s + l.amountExVAT, 0));
+    const scPct = num(pricing.serviceChargePct);
+    const serviceCharge = cents(subtotal * scPct / 100);
+    const groups = {};
+    lines.forEach(l=>{
+      const key = l.taxable ? l.vatKey : 'exempt';
+      const g = groups[key] = groups[key] || { key, rate: l.taxable ? C.vatRateFor(admin, key) : 0, baseExVAT:0 };
+      g.baseExVAT += l.amountExVAT;
+    });
+    const vat = Object.values(groups).map(g=>{
+      const share = subtotal ? g.baseExVAT / subtotal : 0;
+      const base = cents(g.baseExVAT + serviceCharge * share);
+      return { key:g.key, rate:g.rate, baseExVAT:base, vat:cents(base * g.rate / 100) };
+    });
+    const vatTotal = cents(vat.reduce((s,g)=> s + g.vat, 0));
+    const gross = cents(subtotal + serviceCharge + vatTotal);
+    const total = C.roundTo(gross, pricing.rounding || 0.01, pricing.roundingMode || 'nearest');
+    return { subtotalExVAT:subtotal, serviceCharge:{ pct:scPct, amountExVAT:serviceCharge }, vat, vatTotal, grossUnrounded:gross, roundingAdj:cents(total - gross), total };
+  }
+
+  // Smallest advertised unit (hour, else half day, else day) for "from €X / hour" listings
+  function fromRate(room){
+    const br = (room && room.baseRates) || {};
+    const opts = [['hour', br.perHourExVAT], ['half day', br.perHalfDayExVAT], ['day', br.perDayExVAT]]
+      .map(([unit, v]) => ({ unit, amountExVAT: num(v) })).filter(o => o.amountExVAT > 0);
+    return opts.length ? opts[0] : null;
+  }
+
+  function quote(admin, req){
+    const warnings = [];
+    const mins = durationMins(req);
+    if (!mins) warnings.push('End must be after start');
+    const lines = [];
+    const ctx = { durationMins: mins, force: req.force };
+    const bundles = MRI.bundles ? MRI.bundles.selected(admin, req, warnings) : [];
+    if (!bundles.some(b => b.includesRoom)) roomLines(admin, req, mins, lines, warnings);
+    itemLines(admin, req, mins, lines, warnings);
+    if (MRI.bundles) lines.push(...MRI.bundles.lines(admin, req, bundles, ctx, warnings));
+    if (MRI.labour) lines.push(...MRI.labour.lines(admin, req, ctx, warnings));
+    if (MRI.discounts) lines.push(...MRI.discounts.lines(admin, req, lines, ctx));
+    if (MRI.fees) lines.push(...MRI.fees.lines(admin, req, lines, ctx));
+    const t = totals(admin, lines);
+    return { currency: (admin.pricing && admin.pricing.currency) || 'EUR', durationMins: mins, lines, ...t, deposit: MRI.fees ? MRI.fees.deposit(admin, t.total) : null, warnings };
+  }
+
+  MRI.quote = { build: quote, totals, line, baseGroups, roomLines, itemLine, durationMins, fromRate };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,173 @@
+/* ---- MRI recurrence: RRULE-style repeating events ----
+   A calendar event may carry
+     recurrence = { freq:'DAILY'|'WEEKLY'|'MONTHLY', interval:1,
+                    byDay:['MO'] | ['1FR','-1FR'],   // ordinals: MONTHLY only
+                    byMonthDay:[1, -1],              // MONTHLY only
+                    until:'YYYY-MM-DD' | count:n,    // inclusive local date
+                    exdates:['YYYY-MM-DD'] }         // cancelled occurrences
+   startAt/endAt are the first occurrence, which always counts (RFC 5545)
+   even on a day the rule would not pick. Later occurrences are the local dates
+   after it that match the rule; each keeps the first one's
+   wall-clock start and end in the room's timezone, so "Mondays 07:00–09:00"
+   stays 07:00 across DST (a time inside a spring-forward gap moves
+   forward, one inside a fall-back overlap takes the earlier instant).
+   count includes cancelled occurrences, as in RFC 5545.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+  const T = MRI.tz;
+
+  const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY'];
+  const UNITS = { DAILY:'day', WEEKLY:'week', MONTHLY:'month' };
+  const DAY_NAMES = { MO:'Mon', TU:'Tue', WE:'Wed', TH:'Thu', FR:'Fri', SA:'Sat', SU:'Sun' };
+  const ORDINALS = { 1:'first', 2:'second', 3:'third', 4:'fourth', 5:'fifth', '-1':'last', '-2':'second-to-last' };
+  const MAX_PERIODS = 5000;
+  const isYmd = s => /^\d{4}-\d{2}-\d{2}$/.test(String(s || ''));
+
+  // '1FR' → { n:1, day:'FR' }; 'MO' → { n:0, day:'MO' }; null when malformed
+  function parseDay(s){
+    const m = /^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/.exec(String(s || '').toUpperCase());
+    return m ? { n: m[1] ? Number(m[1]) : 0, day:m[2] } : null;
+  }
+
+  // Clean copy of event.recurrence, or null when the event does not repeat
+  function normalize(r){
+    const freq = String((r && r.freq) || '').toUpperCase();
+    if (!FREQS.includes(freq)) return null;
+    const ints = v => (Array.isArray(v) ? v : []).map(Number).filter(n => Number.isInteger(n) && n !== 0 && Math.abs(n) <= 31);
+    return {
+      freq,
+      interval: Math.max(1, Math.floor(Number(r.interval)) || 1),
+      byDay: (Array.isArray(r.byDay) ? r.byDay : []).filter(d => parseDay(d)).map(d => String(d).toUpperCase()),
+      byMonthDay: freq === 'MONTHLY' ? ints(r.byMonthDay) : [],
+      until: isYmd(r.until) ? r.until : null,
+      count: Math.max(0, Math.floor(Number(r.count)) || 0),
+      exdates: (Array.isArray(r.exdates) ? r.exdates : []).filter(isYmd),
+    };
+  }
+
+  const ymdOf = (y, m, d) => `${y}-${T.pad(m)}-${T.pad(d)}`;
+  const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const daysBetween = (a, b) => Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+
+  // Matching local dates in the k-th period (day / week / month) after ymd0
+  function periodDates(rule, ymd0, k){
+    const days = rule.byDay.map(parseDay);
+    if (rule.freq === 'DAILY'){
+      const ymd = T.addDaysYmd(ymd0, k * rule.interval);
+      return !days.length || days.some(d => d.day === T.dayKeyOfYmd(ymd)) ? [ymd] : [];
+    }
+    if (rule.freq === 'WEEKLY'){
+      const monday = T.addDaysYmd(ymd0, k * 7 * rule.interval - T.DAYS.indexOf(T.dayKeyOfYmd(ymd0)));
+      const keys = days.length ? days.map(d => d.day) : [T.dayKeyOfYmd(ymd0)];
+      return T.DAYS.map((d, i) => keys.includes(d) ? T.addDaysYmd(monday, i) : null).filter(Boolean);
+    }
+    const [y0, m0, d0] = ymd0.split('-').map(Number);
+    const mi = m0 - 1 + k * rule.interval;
+    const y = y0 + Math.floor(mi / 12), m = mi % 12 + 1, dim = daysInMonth(y, m);
+    const out = new Set();
+    rule.byMonthDay.forEach(n=>{ const d = n < 0 ? dim + 1 + n : n; if (d >= 1 && d <= dim) out.add(d); });
+    days.forEach(({ n, day })=>{
+      const all = [];
+      for (let d = 1; d <= dim; d++) if (T.dayKeyOfYmd(ymdOf(y, m, d)) === day) all.push(d);
+      if (!n) all.forEach(d => out.add(d));
+      else { const d = n > 0 ? all[n-1] : all[all.length + n]; if (d) out.add(d); }
+    });
+    // plain "monthly": same day of the month; months without it are skipped
+    if (!days.length && !rule.byMonthDay.length && d0 <= dim) out.add(d0);
+    return [...out].sort((a, b)=> a - b).map(d => ymdOf(y, m, d));
+  }
+
+  // Local dates of the k-th period, with the first occurrence in period 0
+  function datesOf(rule, ymd0, k){
+    const dates = periodDates(rule, ymd0, k).filter(d => d > ymd0 || (k === 0 && d === ymd0));
+    return k === 0 && dates[0] !== ymd0 ? [ymd0, ...dates] : dates;
+  }
+  // A period no later than the first that can hold an occurrence still
+  // running on local date ymd (occurrences span endDays extra days)
+  function firstPeriod(rule, ymd0, ymd, endDays){
+    const days = daysBetween(ymd0, ymd) - endDays - 1;
+    if (days <= 0) return 0;
+    const periods = rule.freq === 'DAILY' ? days
+      : rule.freq === 'WEEKLY' ? Math.floor((days + T.DAYS.indexOf(T.dayKeyOfYmd(ymd0))) / 7)
+      : (Number(ymd.slice(0, 4)) - Number(ymd0.slice(0, 4)))*12 + Number(ymd.slice(5, 7)) - Number(ymd0.slice(5, 7)) - Math.ceil((endDays + 1) / 28);
+    return Math.max(0, Math.floor(periods / rule.interval) - 1);
+  }
+
+  // Occurrences in tz as [{ ymd, start:Date, end:Date, cancelled }] by start.
+  // opts.from / opts.to (Dates) window the result, opts.limit caps it;
+  // cancelled occurrences are skipped unless opts.withCancelled.
+  // Periods wholly before opts.from are skipped without converting any
+  // times (just counted when the rule has a count).
+  function expand(ev, tz, opts={}){
+    const start = new Date(ev && ev.startAt), end = new Date(ev && ev.endAt);
+    if (isNaN(start) || isNaN(end) || !(end > start)) return [];
+    const inWindow = (s, e) => (!opts.from || e > opts.from) && (!opts.to || s < opts.to);
+    const rule = normalize(ev.recurrence);
+    if (!rule) return inWindow(start, end) ? [{ ymd:T.ymdInZone(start, tz), start, end, cancelled:false }] : [];
+
+    const ymd0 = T.ymdInZone(start, tz), hm0 = T.hmInZone(start, tz);
+    const endDays = daysBetween(ymd0, T.ymdInZone(end, tz)), hmEnd = T.hmInZone(end, tz);
+    const ex = new Set(rule.exdates);
+    const out = [];
+    let n = 0;
+    const k0 = opts.from ? firstPeriod(rule, ymd0, T.ymdInZone(opts.from, tz), endDays) : 0;
+    if (rule.count) for (let k = 0; k < k0 && n < rule.count; k++) n += datesOf(rule, ymd0, k).length;
+    for (let k = k0; k < k0 + MAX_PERIODS; k++){
+      for (const ymd of datesOf(rule, ymd0, k)){
+        if ((rule.until && ymd > rule.until) || (rule.count && n >= rule.count)) return out;
+        n++;
+        const s = T.localToDate(ymd, hm0, tz);
+        let e = T.localToDate(T.addDaysYmd(ymd, endDays), hmEnd, tz);
+        if (!(e > s)) e = new Date(s.getTime() + (end - start));
+        if (opts.to && s >= opts.to) return out;
+        const cancelled = ex.has(ymd);
+        if (inWindow(s, e) && (!cancelled || opts.withCancelled)) out.push({ ymd, start:s, end:e, cancelled });
+        if (opts.limit && out.length >= opts.limit) return out;
+      }
+    }
+    return out;
+  }
+
+  // Next n occurrences ending after `from`, cancelled ones included
+  const next = (ev, tz, from, n=10) => expand(ev, tz, { from, limit:n, withCancelled:true });
+
+  // Problems with event.recurrence as sentences; [] when fine or absent
+  function issues(ev){
+    const r = ev && ev.recurrence;
+    if (!r) return [];
+    const out = [];
+    if (!FREQS.includes(String(r.freq || '').toUpperCase())) return [`Unknown repeat frequency “${r.freq || ''}”`];
+    const freq = String(r.freq).toUpperCase();
+    if (r.interval !== undefined && !(Number.isInteger(Number(r.interval)) && Number(r.interval) >= 1)) out.push('Repeat interval must be a whole number ≥ 1');
+    (r.byDay || []).forEach(d=>{
+      const p = parseDay(d);
+      if (!p) out.push(`Unknown weekday “${d}”`);
+      else if (p.n && freq !== 'MONTHLY') out.push(`“${d}” (nth weekday) only applies to monthly repeats`);
+    });
+    if ((r.byMonthDay || []).length && freq !== 'MONTHLY') out.push('Days of the month only apply to monthly repeats');
+    if (r.until !== undefined && !isYmd(r.until)) out.push('Repeat “until” must be a date (YYYY-MM-DD)');
+    if (r.until && r.count) out.push('Use either “until” or a count, not both');
+    (r.exdates || []).filter(d => !isYmd(d)).forEach(d => out.push(`Cancelled date “${d}” is not YYYY-MM-DD`));
+    if (!out.length && ev.startAt && ev.endAt && r.until && isYmd(r.until) && r.until < String(ev.startAt).slice(0, 10)) out.push('Repeat ends before the first occurrence');
+    return out;
+  }
+
+  // "Every 2 weeks on Mon, Wed, until 31/12/2026" — dateText formats until
+  function describe(r, dateText = s => s){
+    const rule = normalize(r);
+    if (!rule) return 'Does not repeat';
+    const unit = UNITS[rule.freq];
+    const parts = [rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`];
+    const onDays = rule.byDay.map(parseDay);
+    if (rule.byMonthDay.length) parts.push(`on ${rule.byMonthDay.map(n => n === -1 ? 'the last day' : n < 0 ? `day ${-n} from the end` : `day ${n}`).join(', ')}`);
+    if (onDays.length) parts.push(`on ${onDays.map(d => d.n ? `the ${ORDINALS[d.n] || d.n} ${DAY_NAMES[d.day]}` : DAY_NAMES[d.day]).join(', ')}`);
+    let s = parts.join(' ');
+    if (rule.until) s += `, until ${dateText(rule.until)}`;
+    else if (rule.count) s += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    if (rule.exdates.length) s += ` (${rule.exdates.length} cancelled)`;
+    return s;
+  }
+
+  MRI.recurrence = { FREQS, DAY_NAMES, ORDINALS, parseDay, normalize, expand, next, issues, describe };
+})(typeof window !== 'undefined' ? window : globalThis);
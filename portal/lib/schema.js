@@ -0,0 +1,133 @@
+/* ---- MRI schema: small JSON Schema (2020-12 subset) validator ----
+   Enough of the spec for docs/schemas/*.schema.json, no external libs:
+     type, enum, const, required, properties, additionalProperties,
+     propertyNames, items, minItems, minimum, maximum, exclusiveMinimum,
+     minLength, maxLength, pattern, format:'date-time', $ref (#/$defs/…),
+     allOf, anyOf, oneOf, if/then/else, deprecated.
+   validate(schema, data) → [{ path, severity, message, keyword }]
+   at(schema, path) → the sub-schema for one path (type, enum, minimum …)
+   Paths use the admin's dot notation (rooms.0.name). `deprecated` fields
+   are reported as 'warn'; everything else is an 'error'.
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+
+  const join = (base, key) => base === '' ? String(key) : `${base}.${key}`;
+
+  function typeOf(v){
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+    return typeof v;
+  }
+  function typeMatches(v, t){
+    const actual = typeOf(v);
+    return actual === t || (t === 'number' && actual === 'integer');
+  }
+  const ISO = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+  function resolve(rootSchema, ref){
+    if (!ref.startsWith('#/')) return {};
+    return ref.slice(2).split('/').reduce((o,k)=> (o ? o[k.replace(/~1/g,'/').replace(/~0/g,'~')] : undefined), rootSchema) || {};
+  }
+
+  function check(rootSchema, s, v, path, out){
+    if (!s || typeof s !== 'object') return;
+    if (s.$ref) check(rootSchema, resolve(rootSchema, s.$ref), v, path, out);
+    if (s.deprecated && v !== undefined) out.push({ path, severity:'warn', keyword:'deprecated', message:`Deprecated field${s.description ? ` — ${s.description}` : ''}` });
+
+    if (s.type !== undefined){
+      const types = [].concat(s.type);
+      if (!types.some(t => typeMatches(v, t))){
+        out.push({ path, severity:'error', keyword:'type', message:`Expected ${types.join(' or ')}, got ${typeOf(v)}` });
+        return;
+      }
+    }
+    if (s.enum && !s.enum.some(x => x === v)) out.push({ path, severity:'error', keyword:'enum', message:`Must be one of ${s.enum.map(x=>JSON.stringify(x)).join(', ')} (got ${JSON.stringify(v)})` });
+    if ('const' in s && s.const !== v) out.push({ path, severity:'error', keyword:'const', message:`Must be ${JSON.stringify(s.const)}` });
+
+    if (typeof v === 'number'){
+      if (s.minimum !== undefined && v < s.minimum) out.push({ path, severity:'error', keyword:'minimum', message:`Must be ≥ ${s.minimum} (got ${v})` });
+      if (s.maximum !== undefined && v > s.maximum) out.push({ path, severity:'error', keyword:'maximum', message:`Must be ≤ ${s.maximum} (got ${v})` });
+      if (s.exclusiveMinimum !== undefined && v <= s.exclusiveMinimum) out.push({ path, severity:'error', keyword:'exclusiveMinimum', message:`Must be > ${s.exclusiveMinimum} (got ${v})` });
+    }
+    if (typeof v === 'string'){
+      if (s.minLength !== undefined && v.length < s.minLength) out.push({ path, severity:'error', keyword:'minLength', message: s.minLength === 1 ? 'Must not be empty' : `Must be at least ${s.minLength} characters` });
+      if (s.maxLength !== undefined && v.length > s.maxLength) out.push({ path, severity:'error', keyword:'maxLength', message:`Must be at most ${s.maxLength} characters` });
+      if (s.pattern && !new RegExp(s.pattern, 'u').test(v)) out.push({ path, severity:'error', keyword:'pattern', message:`${JSON.stringify(v)} does not match ${s.pattern}` });
+      if (s.format === 'date-time' && v !== '' && !(ISO.test(v) && !isNaN(Date.parse(v)))) out.push({ path, severity:'error', keyword:'format', message:`${JSON.stringify(v)} is not an ISO date-time` });
+    }
+
+    if (Array.isArray(v)){
+      if (s.minItems !== undefined && v.length < s.minItems) out.push({ path, severity:'error', keyword:'minItems', message:`Needs at least ${s.minItems} entr${s.minItems === 1 ? 'y' : 'ies'}` });
+      if (s.items) v.forEach((x,i)=> check(rootSchema, s.items, x, join(path, i), out));
+    }
+
+    if (v && typeof v === 'object' && !Array.isArray(v)){
+      (s.required||[]).forEach(k=>{ if (v[k] === undefined) out.push({ path:join(path, k), severity:'error', keyword:'required', message:'Required field is missing' }); });
+      const props = s.properties || {};
+      Object.keys(v).forEach(k=>{
+        if (s.propertyNames) check(rootSchema, s.propertyNames, k, join(path, k), out);
+        if (props[k]) check(rootSchema, props[k], v[k], join(path, k), out);
+        else if (s.additionalProperties === false) out.push({ path:join(path, k), severity:'error', keyword:'additionalProperties', message:'Unknown field' });
+        else if (s.additionalProperties && typeof s.additionalProperties === 'object') check(rootSchema, s.additionalProperties, v[k], join(path, k), out);
+      });
+    }
+
+    (s.allOf||[]).forEach(sub => check(rootSchema, sub, v, path, out));
+    if (s.anyOf && !s.anyOf.some(sub => !errorsOf(rootSchema, sub, v, path).length)){
+      out.push({ path, severity:'error', keyword:'anyOf', message:'Does not match any allowed shape' });
+    }
+    if (s.oneOf){
+      const results = s.oneOf.map(sub => errorsOf(rootSchema, sub, v, path));
+      const passing = results.filter(r => !r.length).length;
+      // report the closest shape's problems rather than a bare "no match"
+      const wrongType = r => r.some(x => x.path === path && x.keyword === 'type') ? 1 : 0;
+      if (passing === 0) out.push(...results.sort((a,b)=> wrongType(a) - wrongType(b) || a.length - b.length)[0]);
+      else if (passing > 1) out.push({ path, severity:'error', keyword:'oneOf', message:'Matches more than one allowed shape' });
+    }
+    if (s.if){
+      const ok = !errorsOf(rootSchema, s.if, v, path).length;
+      if (ok && s.then) check(rootSchema, s.then, v, path, out);
+      if (!ok && s.else) check(rootSchema, s.else, v, path, out);
+    }
+  }
+
+  function errorsOf(rootSchema, s, v, path){
+    const out = [];
+    check(rootSchema, s, v, path, out);
+    return out.filter(x => x.severity === 'error');
+  }
+
+  function validate(schema, data){
+    const out = [];
+    check(schema, schema, data, '', out);
+    return out;
+  }
+
+  // Sub-schema describing `path`, following $ref, properties, items,
+  // additionalProperties and the first combinator branch that knows the
+  // key; sibling keywords next to a $ref win. null when nothing is known.
+  function at(rootSchema, path){
+    const deref = s=>{
+      for (let n = 0; s && s.$ref && n < 20; n++){ const { $ref, ...rest } = s; s = { ...resolve(rootSchema, $ref), ...rest }; }
+      return s;
+    };
+    const step = (s, key)=>{
+      s = deref(s);
+      if (!s || typeof s !== 'object') return null;
+      if (s.properties && s.properties[key]) return s.properties[key];
+      if (/^\d+$/.test(key) && s.items) return s.items;
+      for (const sub of [...(s.allOf||[]), ...(s.anyOf||[]), ...(s.oneOf||[])]){ const hit = step(sub, key); if (hit) return hit; }
+      return s.additionalProperties && typeof s.additionalProperties === 'object' ? s.additionalProperties : null;
+    };
+    let s = rootSchema;
+    for (const key of path === '' ? [] : String(path).split('.')){
+      s = step(s, key);
+      if (!s) return null;
+    }
+    return deref(s);
+  }
+
+  MRI.schema = { validate, typeOf, at };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,90 @@
+/* ---- MRI tz: IANA timezone helpers (Intl only, no libs) ----
+   Wall-clock ↔ UTC conversion for a named zone, with DST gap/overlap
+   detection. Days use the RRULE-style keys index.html writes (MO…SU).
+------------------------------------------------- */
+(function(root){
+  const MRI = root.MRI = root.MRI || {};
+
+  const DAYS = ['MO','TU','WE','TH','FR','SA','SU'];
+  const pad = n => String(n).padStart(2,'0');
+  const fmtCache = {};
+
+  function formatter(tz){
+    if (!fmtCache[tz]){
+      fmtCache[tz] = new Intl.DateTimeFormat('en-GB', { timeZone: tz, hourCycle:'h23',
+        year:'numeric', month:'2-digit', day:'2-digit', hour:'2-digit', minute:'2-digit', second:'2-digit' });
+    }
+    return fmtCache[tz];
+  }
+  function isValidZone(tz){
+    try { formatter(tz); return true; } catch(e){ return false; }
+  }
+
+  // Wall-clock parts of an instant in tz
+  function partsInZone(date, tz){
+    const p = {};
+    formatter(tz).formatToParts(date).forEach(x=>{ if (x.type !== 'literal') p[x.type] = Number(x.value); });
+    return { year:p.year, month:p.month, day:p.day, hour:p.hour % 24, minute:p.minute, second:p.second };
+  }
+  // Minutes the zone is ahead of UTC at that instant
+  function offsetMins(date, tz){
+    const p = partsInZone(date, tz);
+    const asUtc = Date.UTC(p.year, p.month-1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime()/1000)*1000) / 60000);
+  }
+
+  // Wall-clock in tz → { date, gap, overlap, later }.
+  // gap: the time does not exist (spring forward) — date is moved forward by the gap.
+  // overlap: the time happens twice (fall back) — date is the earlier instant,
+  // later the second one.
+  function zonedToUtc(w, tz){
+    const wallMs = Date.UTC(w.year, w.month-1, w.day, w.hour||0, w.minute||0);
+    const candidates = new Set();
+    [-1440, 0, 1440].forEach(shift=>{
+      const probe = new Date(wallMs + shift*60000);
+      candidates.add(wallMs - offsetMins(probe, tz)*60000);
+    });
+    const exact = [...candidates].filter(ms=>{
+      const p = partsInZone(new Date(ms), tz);
+      return Date.UTC(p.year, p.month-1, p.day, p.hour, p.minute) === wallMs;
+    }).sort((a,b)=> a-b);
+    if (exact.length) return { date: new Date(exact[0]), gap:false, overlap: exact.length > 1, later: exact.length > 1 ? new Date(exact[exact.length-1]) : null };
+    // Spring-forward gap: use the offset from before the jump
+    const before = new Date(wallMs - 1440*60000);
+    return { date: new Date(wallMs - offsetMins(before, tz)*60000), gap:true, overlap:false, later:null };
+  }
+
+  // 'YYYY-MM-DD' + 'HH:mm' in tz → Date (earliest instant; gaps move forward)
+  function localToDate(ymd, hm, tz){
+    const [y,m,d] = String(ymd).split('-').map(Number);
+    const [hh,mm] = String(hm||'00:00').split(':').map(Number);
+    return zonedToUtc({ year:y, month:m, day:d, hour:hh, minute:mm }, tz).date;
+  }
+  function ymdInZone(date, tz){
+    const p = partsInZone(date, tz);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  }
+  function hmInZone(date, tz){
+    const p = partsInZone(date, tz);
+    return `${pad(p.hour)}:${pad(p.minute)}`;
+  }
+  // Day key (MO…SU) of a calendar date string — independent of any zone
+  function dayKeyOfYmd(ymd){
+    const [y,m,d] = String(ymd).split('-').map(Number);
+    return DAYS[(new Date(Date.UTC(y, m-1, d)).getUTCDay() + 6) % 7];
+  }
+  function addDaysYmd(ymd, n){
+    const [y,m,d] = String(ymd).split('-').map(Number);
+    const t = new Date(Date.UTC(y, m-1, d + n));
+    return `${t.getUTCFullYear()}-${pad(t.getUTCMonth()+1)}-${pad(t.getUTCDate())}`;
+  }
+  const hmToMins = hm => { const [h,m] = String(hm||'').split(':').map(Number); return Number.isFinite(h) ? h*60 + (m||0) : NaN; };
+  const minsToHm = n => `${pad(Math.floor(n/60))}:${pad(n%60)}`;
+  // 'UTC+01:00' for the zone at that instant
+  function offsetLabel(date, tz){
+    const m = offsetMins(date, tz);
+    return `UTC${m < 0 ? '−' : '+'}${pad(Math.floor(Math.abs(m)/60))}:${pad(Math.abs(m)%60)}`;
+  }
+
+  MRI.tz = { DAYS, pad, isValidZone, partsInZone, offsetMins, offsetLabel, zonedToUtc, localToDate, ymdInZone, hmInZone, dayKeyOfYmd, addDaysYmd, hmToMins, minsToHm };
+})(typeof window !== 'undefined' ? window : globalThis);